@@ -9,6 +9,12 @@ const errorHandler = require("./errors/errorHandler");
 const notFound = require("./errors/notFound");
 const reservationsRouter = require("./reservations/reservations.router");
 const tablesRouter = require("./tables/tables.router");
+const hoursRouter = require("./hours/hours.router");
+const specialDatesRouter = require("./special-dates/special-dates.router");
+const pacingRouter = require("./pacing/pacing.router");
+const waitlistRouter = require("./waitlist/waitlist.router");
+const sectionsRouter = require("./sections/sections.router");
+const guestsRouter = require("./guests/guests.router");
 
 const app = express();
 
@@ -17,6 +23,12 @@ app.use(express.json());
 
 app.use("/reservations", reservationsRouter);
 app.use("/tables", tablesRouter);
+app.use("/waitlist", waitlistRouter);
+app.use("/sections", sectionsRouter);
+app.use("/guests", guestsRouter);
+app.use("/settings/hours", hoursRouter);
+app.use("/settings/pacing", pacingRouter);
+app.use("/special-dates", specialDatesRouter);
 
 app.use(notFound);
 app.use(errorHandler);
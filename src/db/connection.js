@@ -1,5 +1,21 @@
 const environment = process.env.NODE_ENV || "development";
 const config = require("../../knexfile")[environment];
-const knex = require("knex")(config);
+
+// How similar (from 0 to 1) a guest's name must be to match the name search of GET /reservations?q=
+// Low enough that a misspelled short name, e.g. 'Rik' for 'Rick', is still found
+// It is the threshold of the trigram % operator, so it is set on every connection, see reservations.service
+const NAME_SIMILARITY_THRESHOLD = 0.25;
+
+const knex = require("knex")({
+  ...config,
+  pool: {
+    ...config.pool,
+    afterCreate: (connection, done) =>
+      connection.query(
+        `SET pg_trgm.similarity_threshold = ${NAME_SIMILARITY_THRESHOLD}`,
+        (error) => done(error, connection)
+      ),
+  },
+});
 
 module.exports = knex;
@@ -0,0 +1,15 @@
+exports.up = function (knex) {
+  return knex.schema.createTable("operating_hours", (table) => {
+    table.increments("hours_id").primary();
+    table.integer("day_of_week").notNullable();
+    table.string("service_name").notNullable();
+    table.time("open_time").notNullable();
+    table.time("close_time").notNullable();
+    table.integer("last_seating_offset").notNullable().defaultTo(0);
+    table.timestamps(true, true);
+  });
+};
+
+exports.down = function (knex) {
+  return knex.schema.dropTable("operating_hours");
+};
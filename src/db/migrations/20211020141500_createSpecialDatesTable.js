@@ -0,0 +1,16 @@
+exports.up = function (knex) {
+  return knex.schema.createTable("special_dates", (table) => {
+    table.increments("special_date_id").primary();
+    table.date("special_date").notNullable().unique();
+    table.string("description");
+    table.boolean("closed").notNullable().defaultTo(true);
+    table.time("open_time");
+    table.time("close_time");
+    table.integer("last_seating_offset").notNullable().defaultTo(0);
+    table.timestamps(true, true);
+  });
+};
+
+exports.down = function (knex) {
+  return knex.schema.dropTable("special_dates");
+};
@@ -0,0 +1,20 @@
+exports.up = function (knex) {
+  return knex.schema
+    .table("reservations", (table) => {
+      table.integer("duration").notNullable().defaultTo(90);
+    })
+    .then(() =>
+      // Existing reservations take the default duration for their party size
+      knex("reservations").update({
+        duration: knex.raw(
+          "CASE WHEN people <= 2 THEN 75 WHEN people <= 4 THEN 90 WHEN people <= 6 THEN 120 ELSE 150 END"
+        ),
+      })
+    );
+};
+
+exports.down = function (knex) {
+  return knex.schema.table("reservations", (table) => {
+    table.dropColumn("duration");
+  });
+};
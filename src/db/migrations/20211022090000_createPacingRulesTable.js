@@ -0,0 +1,13 @@
+exports.up = function (knex) {
+  return knex.schema.createTable("pacing_rules", (table) => {
+    table.increments("pacing_rule_id").primary();
+    table.string("service_name").notNullable().unique();
+    table.integer("max_covers");
+    table.integer("max_parties");
+    table.timestamps(true, true);
+  });
+};
+
+exports.down = function (knex) {
+  return knex.schema.dropTable("pacing_rules");
+};
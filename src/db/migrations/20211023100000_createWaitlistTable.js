@@ -0,0 +1,33 @@
+exports.up = function (knex) {
+  return knex.schema
+    .createTable("waitlist", (table) => {
+      table.increments("waitlist_id").primary();
+      table.string("first_name").notNullable();
+      table.string("last_name").notNullable();
+      table.string("mobile_number").notNullable();
+      table.integer("people").notNullable();
+      table.integer("quoted_wait");
+      table.string("status").notNullable().defaultTo("waiting");
+      table.timestamp("notified_at");
+      table.timestamp("seated_at");
+      table.integer("reservation_id").unsigned();
+      table
+        .foreign("reservation_id")
+        .references("reservation_id")
+        .inTable("reservations");
+      table.timestamps(true, true);
+    })
+    .then(() =>
+      knex.schema.table("reservations", (table) => {
+        table.boolean("walk_in").notNullable().defaultTo(false);
+      })
+    );
+};
+
+exports.down = function (knex) {
+  return knex.schema
+    .table("reservations", (table) => {
+      table.dropColumn("walk_in");
+    })
+    .then(() => knex.schema.dropTable("waitlist"));
+};
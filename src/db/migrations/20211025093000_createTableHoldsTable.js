@@ -0,0 +1,23 @@
+exports.up = function (knex) {
+  return knex.schema.createTable("table_holds", (table) => {
+    table.increments("hold_id").primary();
+    table.integer("table_id").unsigned().notNullable();
+    table
+      .foreign("table_id")
+      .references("table_id")
+      .inTable("tables")
+      .onDelete("CASCADE");
+    table.integer("reservation_id").unsigned().notNullable();
+    table
+      .foreign("reservation_id")
+      .references("reservation_id")
+      .inTable("reservations")
+      .onDelete("CASCADE");
+    table.unique(["table_id", "reservation_id"]);
+    table.timestamps(true, true);
+  });
+};
+
+exports.down = function (knex) {
+  return knex.schema.dropTable("table_holds");
+};
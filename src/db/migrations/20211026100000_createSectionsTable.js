@@ -0,0 +1,41 @@
+exports.up = function (knex) {
+  return knex.schema
+    .createTable("sections", (table) => {
+      table.increments("section_id").primary();
+      table.string("section_name").notNullable().unique();
+      table.string("floor");
+      table.timestamps(true, true);
+    })
+    .alterTable("tables", (table) => {
+      table.integer("section_id").unsigned();
+      table
+        .foreign("section_id")
+        .references("section_id")
+        .inTable("sections")
+        .onDelete("SET NULL");
+    })
+    .createTable("server_assignments", (table) => {
+      table.increments("assignment_id").primary();
+      table.integer("section_id").unsigned().notNullable();
+      table
+        .foreign("section_id")
+        .references("section_id")
+        .inTable("sections")
+        .onDelete("CASCADE");
+      table.string("server_name").notNullable();
+      table.date("shift_date").notNullable();
+      table.string("service_name").notNullable();
+      table.unique(["section_id", "shift_date", "service_name"]);
+      table.timestamps(true, true);
+    });
+};
+
+exports.down = function (knex) {
+  return knex.schema
+    .dropTable("server_assignments")
+    .alterTable("tables", (table) => {
+      table.dropForeign("section_id");
+      table.dropColumn("section_id");
+    })
+    .dropTable("sections");
+};
@@ -0,0 +1,27 @@
+exports.up = function (knex) {
+  return knex.schema
+    .alterTable("tables", (table) => {
+      table.specificType("attributes", "text[]").notNullable().defaultTo("{}");
+    })
+    .alterTable("reservations", (table) => {
+      table
+        .specificType("seating_preferences", "text[]")
+        .notNullable()
+        .defaultTo("{}");
+      table
+        .specificType("seating_requirements", "text[]")
+        .notNullable()
+        .defaultTo("{}");
+    });
+};
+
+exports.down = function (knex) {
+  return knex.schema
+    .alterTable("reservations", (table) => {
+      table.dropColumn("seating_requirements");
+      table.dropColumn("seating_preferences");
+    })
+    .alterTable("tables", (table) => {
+      table.dropColumn("attributes");
+    });
+};
@@ -0,0 +1,20 @@
+exports.up = function (knex) {
+  return knex.schema.createTable("reservation_history", (table) => {
+    table.increments("history_id").primary();
+    table.integer("reservation_id").unsigned().notNullable();
+    table
+      .foreign("reservation_id")
+      .references("reservation_id")
+      .inTable("reservations")
+      .onDelete("CASCADE");
+    table.string("field").notNullable();
+    table.text("old_value");
+    table.text("new_value");
+    table.string("actor");
+    table.timestamp("changed_at").notNullable().defaultTo(knex.fn.now());
+  });
+};
+
+exports.down = function (knex) {
+  return knex.schema.dropTable("reservation_history");
+};
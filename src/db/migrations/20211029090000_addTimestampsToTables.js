@@ -0,0 +1,11 @@
+exports.up = function (knex) {
+  return knex.schema.alterTable("tables", (table) => {
+    table.timestamps(true, true);
+  });
+};
+
+exports.down = function (knex) {
+  return knex.schema.alterTable("tables", (table) => {
+    table.dropTimestamps();
+  });
+};
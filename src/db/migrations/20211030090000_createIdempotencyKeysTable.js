@@ -0,0 +1,15 @@
+exports.up = function (knex) {
+  return knex.schema.createTable("idempotency_keys", (table) => {
+    table.string("idempotency_key").primary();
+    table.string("request_method").notNullable();
+    table.string("request_path").notNullable();
+    table.string("request_hash").notNullable();
+    table.integer("response_status");
+    table.jsonb("response_body");
+    table.timestamp("created_at").notNullable().defaultTo(knex.fn.now());
+  });
+};
+
+exports.down = function (knex) {
+  return knex.schema.dropTable("idempotency_keys");
+};
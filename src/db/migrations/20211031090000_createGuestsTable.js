@@ -0,0 +1,48 @@
+exports.up = function (knex) {
+  return knex.schema
+    .createTable("guests", (table) => {
+      table.increments("guest_id").primary();
+      table.string("mobile_number").notNullable().unique();
+      table.string("first_name");
+      table.string("last_name");
+      table.timestamps(true, true);
+    })
+    .alterTable("reservations", (table) => {
+      table.integer("guest_id").unsigned();
+      table
+        .foreign("guest_id")
+        .references("guest_id")
+        .inTable("guests")
+        .onDelete("SET NULL");
+    })
+    .then(() =>
+      // Every existing phone number becomes a guest, named after their latest reservation
+      knex.raw(`
+        INSERT INTO guests (mobile_number, first_name, last_name)
+        SELECT DISTINCT ON (normalized) normalized, first_name, last_name
+        FROM (
+          SELECT regexp_replace(mobile_number, '\\D', '', 'g') AS normalized,
+            first_name, last_name, created_at
+          FROM reservations
+        ) AS numbers
+        WHERE normalized <> ''
+        ORDER BY normalized, created_at DESC
+      `)
+    )
+    .then(() =>
+      knex.raw(`
+        UPDATE reservations SET guest_id = guests.guest_id
+        FROM guests
+        WHERE guests.mobile_number = regexp_replace(reservations.mobile_number, '\\D', '', 'g')
+      `)
+    );
+};
+
+exports.down = function (knex) {
+  return knex.schema
+    .alterTable("reservations", (table) => {
+      table.dropForeign("guest_id");
+      table.dropColumn("guest_id");
+    })
+    .dropTable("guests");
+};
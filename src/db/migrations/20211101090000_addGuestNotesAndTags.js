@@ -0,0 +1,24 @@
+exports.up = function (knex) {
+  return knex.schema
+    .alterTable("guests", (table) => {
+      table.specificType("tags", "text[]").notNullable().defaultTo("{}");
+    })
+    .createTable("guest_notes", (table) => {
+      table.increments("note_id").primary();
+      table.integer("guest_id").unsigned().notNullable();
+      table
+        .foreign("guest_id")
+        .references("guest_id")
+        .inTable("guests")
+        .onDelete("CASCADE");
+      table.text("note").notNullable();
+      table.string("actor");
+      table.timestamps(true, true);
+    });
+};
+
+exports.down = function (knex) {
+  return knex.schema.dropTable("guest_notes").alterTable("guests", (table) => {
+    table.dropColumn("tags");
+  });
+};
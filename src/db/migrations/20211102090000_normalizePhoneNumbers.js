@@ -0,0 +1,75 @@
+// Stored phone numbers are converted to E.164, the same way normalizePhone() in src/utils/phone.js normalizes new ones:
+// a leading 00 is the international prefix, and a 10 digit number without a + is given the default country code
+// Numbers that cannot be converted are left as they are
+const { DEFAULT_COUNTRY_CODE = "1" } = process.env;
+
+const E164 = /^\+[1-9]\d{7,14}$/.source;
+
+function _toE164(column) {
+  const digits = `regexp_replace(${column}, '\\D', '', 'g')`;
+  return `CASE
+    WHEN ${column} ~ '^\\s*00' THEN '+' || substr(${digits}, 3)
+    WHEN ${column} !~ '^\\s*\\+' AND length(${digits}) = 10 THEN '+' || :country_code || ${digits}
+    ELSE '+' || ${digits}
+  END`;
+}
+
+function _normalize(knex, tableName) {
+  return knex.raw(
+    `UPDATE ${tableName} SET mobile_number = ${_toE164("mobile_number")}
+    WHERE ${_toE164("mobile_number")} ~ :e164`,
+    { country_code: DEFAULT_COUNTRY_CODE, e164: E164 }
+  );
+}
+
+exports.up = async function (knex) {
+  await _normalize(knex, "reservations");
+  await _normalize(knex, "waitlist");
+
+  // Guests whose numbers only differed by the country code are the same guest, so they are merged into the oldest one
+  await knex.raw(
+    `CREATE TEMP TABLE guest_numbers ON COMMIT DROP AS
+    SELECT guest_id, e164, min(guest_id) OVER (PARTITION BY e164) AS keep_id
+    FROM (SELECT guest_id, ${_toE164(
+      "mobile_number"
+    )} AS e164 FROM guests) AS numbers
+    WHERE e164 ~ :e164`,
+    { country_code: DEFAULT_COUNTRY_CODE, e164: E164 }
+  );
+  await knex.raw(`
+    UPDATE reservations SET guest_id = n.keep_id
+    FROM guest_numbers n
+    WHERE reservations.guest_id = n.guest_id AND n.guest_id <> n.keep_id
+  `);
+  await knex.raw(`
+    UPDATE guest_notes SET guest_id = n.keep_id
+    FROM guest_numbers n
+    WHERE guest_notes.guest_id = n.guest_id AND n.guest_id <> n.keep_id
+  `);
+  await knex.raw(`
+    UPDATE guests SET tags = merged.tags
+    FROM (
+      SELECT n.keep_id, array_agg(DISTINCT tag) AS tags
+      FROM guest_numbers n
+      JOIN guests ON guests.guest_id = n.guest_id, unnest(guests.tags) AS tag
+      GROUP BY n.keep_id
+    ) AS merged
+    WHERE guests.guest_id = merged.keep_id
+  `);
+  await knex.raw(`
+    DELETE FROM guests USING guest_numbers n
+    WHERE guests.guest_id = n.guest_id AND n.guest_id <> n.keep_id
+  `);
+  await knex.raw(`
+    UPDATE guests SET mobile_number = n.e164
+    FROM guest_numbers n
+    WHERE guests.guest_id = n.guest_id
+  `);
+};
+
+// Reservations and waitlist entries keep their E.164 numbers, guests go back to being identified by the digits only
+exports.down = function (knex) {
+  return knex.raw(
+    `UPDATE guests SET mobile_number = regexp_replace(mobile_number, '\\D', '', 'g')`
+  );
+};
@@ -0,0 +1,8 @@
+// Trigram matching for the guest name search of GET /reservations?q=
+exports.up = function (knex) {
+  return knex.raw("CREATE EXTENSION IF NOT EXISTS pg_trgm");
+};
+
+exports.down = function (knex) {
+  return knex.raw("DROP EXTENSION IF EXISTS pg_trgm");
+};
@@ -0,0 +1,11 @@
+exports.up = function (knex) {
+  return knex.schema.alterTable("tables", (table) => {
+    table.boolean("retired").notNullable().defaultTo(false);
+  });
+};
+
+exports.down = function (knex) {
+  return knex.schema.alterTable("tables", (table) => {
+    table.dropColumn("retired");
+  });
+};
@@ -0,0 +1,20 @@
+// Trigram indexes for the guest name search of GET /reservations?q=, one for each name it matches
+// The search filters with the % operator, which these indexes can be used for, see reservations.service
+exports.up = function (knex) {
+  return knex.raw(`
+    CREATE INDEX reservations_first_name_trgm
+      ON reservations USING gin (first_name gin_trgm_ops);
+    CREATE INDEX reservations_last_name_trgm
+      ON reservations USING gin (last_name gin_trgm_ops);
+    CREATE INDEX reservations_full_name_trgm
+      ON reservations USING gin ((first_name || ' ' || last_name) gin_trgm_ops);
+  `);
+};
+
+exports.down = function (knex) {
+  return knex.raw(`
+    DROP INDEX IF EXISTS reservations_first_name_trgm;
+    DROP INDEX IF EXISTS reservations_last_name_trgm;
+    DROP INDEX IF EXISTS reservations_full_name_trgm;
+  `);
+};
@@ -0,0 +1,37 @@
+const db = require("./connection");
+
+/**
+ * Fetches one page of a list query, along with the total number of rows across every page
+ * With a sort, the rows are sorted by its fields instead of the query's own order
+ * The rows are always sorted by the primary key last, so every row is on exactly one page
+ * Without a limit, every row is fetched as a single page
+ *
+ * @param query
+ *  the knex query for the whole list
+ * @param options
+ *  { page, limit, sort }, where sort is a list of { field, direction } and limit may be null
+ * @param primaryKey
+ *  the column that identifies each row of the list
+ * @returns
+ *  { data, total }
+ */
+async function paginate(query, { page, limit, sort = [] }, primaryKey) {
+  const rows = sort.length
+    ? db.select("*").from(query.clone().clearOrder().as("sorted"))
+    : query.clone();
+  for (let { field, direction } of sort) rows.orderBy(field, direction);
+  rows.orderBy(primaryKey);
+
+  if (!limit) {
+    const data = await rows;
+    return { data, total: data.length };
+  }
+
+  const [{ total }] = await db
+    .from(query.clone().clearOrder().as("counted"))
+    .count("* as total");
+  const data = await rows.limit(limit).offset((page - 1) * limit);
+  return { data, total: Number(total) };
+}
+
+module.exports = paginate;
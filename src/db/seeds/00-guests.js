@@ -0,0 +1,4 @@
+// Guests are truncated before the reservations that belong to them are seeded
+exports.seed = function (knex) {
+  return knex.raw("TRUNCATE TABLE guests RESTART IDENTITY CASCADE");
+};
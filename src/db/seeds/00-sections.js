@@ -0,0 +1,8 @@
+const sections = require("./00-sections.json");
+
+// Sections are seeded before the tables that belong to them
+exports.seed = function (knex) {
+  return knex
+    .raw("TRUNCATE TABLE sections RESTART IDENTITY CASCADE")
+    .then(() => knex("sections").insert(sections));
+};
@@ -0,0 +1,7 @@
+const operatingHours = require("./02-operating-hours.json");
+
+exports.seed = function (knex) {
+  return knex
+    .raw("TRUNCATE TABLE operating_hours RESTART IDENTITY CASCADE")
+    .then(() => knex("operating_hours").insert(operatingHours));
+};
@@ -0,0 +1,3 @@
+exports.seed = function (knex) {
+  return knex.raw("TRUNCATE TABLE pacing_rules RESTART IDENTITY CASCADE");
+};
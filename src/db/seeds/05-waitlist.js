@@ -0,0 +1,3 @@
+exports.seed = function (knex) {
+  return knex.raw("TRUNCATE TABLE waitlist RESTART IDENTITY CASCADE");
+};
@@ -0,0 +1,3 @@
+exports.seed = function (knex) {
+  return knex.raw("TRUNCATE TABLE idempotency_keys");
+};
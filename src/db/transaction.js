@@ -0,0 +1,11 @@
+const db = require("./connection");
+
+/**
+ * Runs the callback in the given transaction, or in a new one if there is none
+ * Lets a service make its changes as part of another service's transaction
+ */
+function inTransaction(trx, callback) {
+  return trx ? callback(trx) : db.transaction(callback);
+}
+
+module.exports = inTransaction;
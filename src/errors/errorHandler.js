@@ -1,9 +1,10 @@
 /**
  * Express API error handler.
+ * Any details passed along with the error are added to the response body next to the error message.
  */
 function errorHandler(error, request, response, next) {
-  const { status = 500, message = "Something went wrong!" } = error;
-  response.status(status).json({ error: message });
+  const { status = 500, message = "Something went wrong!", details } = error;
+  response.status(status).json({ error: message, ...details });
 }
 
 module.exports = errorHandler;
@@ -0,0 +1,158 @@
+const asyncErrorBoundary = require("../errors/asyncErrorBoundary");
+const service = require("./guests.service");
+const { toDateString } = require("../utils/time");
+const { getActor } = require("../utils/actor");
+
+/**
+ * Middleware validation for request parameters
+ * Ensures that the guest_id param corresponds to a valid guest
+ */
+async function guestExists(req, res, next) {
+  const { guest_id } = req.params;
+  const guest = /^\d+$/.test(guest_id) ? await service.read(guest_id) : null;
+
+  if (!guest)
+    return next({
+      status: 404,
+      message: `Guest ${guest_id} cannot be found.`,
+    });
+
+  res.locals.guest = guest;
+  return next();
+}
+
+/**
+ * Middleware validation for request bodies when tagging a guest
+ * Ensures the request body has a tags property listing each tag as text (e.g. 'vip', 'nut allergy')
+ * Tags are stored in lowercase without surrounding spaces, and each tag is only kept once
+ */
+function hasValidTags(req, res, next) {
+  const { data: { tags } = {} } = req.body;
+
+  if (
+    !Array.isArray(tags) ||
+    !tags.every((tag) => typeof tag === "string" && tag.trim())
+  )
+    return next({
+      status: 400,
+      message: `The data in the request body requires a tags property listing each tag as text.`,
+    });
+
+  res.locals.tags = [...new Set(tags.map((tag) => tag.trim().toLowerCase()))];
+  return next();
+}
+
+/**
+ * Middleware validation for request bodies when adding a note to a guest
+ * Ensures the request body has the text of the note
+ */
+function hasValidNote(req, res, next) {
+  const { data: { note } = {} } = req.body;
+
+  if (typeof note !== "string" || !note.trim())
+    return next({
+      status: 400,
+      message: `The data in the request body requires a note field.`,
+    });
+
+  res.locals.note = note.trim();
+  return next();
+}
+
+/**
+ * Middleware validation for request parameters
+ * Ensures that the note_id param corresponds to a note of the guest
+ */
+async function noteExists(req, res, next) {
+  const { guest_id } = res.locals.guest;
+  const { note_id } = req.params;
+  const note = /^\d+$/.test(note_id)
+    ? await service.readNote(guest_id, note_id)
+    : null;
+
+  if (!note)
+    return next({
+      status: 404,
+      message: `Note ${note_id} cannot be found for guest ${guest_id}.`,
+    });
+
+  res.locals.note = note;
+  return next();
+}
+
+/**
+ * List handler for guest resources
+ */
+async function list(req, res) {
+  const data = await service.list();
+  res.json({ data });
+}
+
+/**
+ * Read handler for reading a specified guest
+ * Along with their notes, and their lifetime visits, covers, no-shows, cancellations and last visit date
+ */
+async function read(req, res) {
+  const { guest } = res.locals;
+  const { last_visit, ...stats } = await service.readStats(guest.guest_id);
+  const notes = await service.listNotes(guest.guest_id);
+  res.json({
+    data: {
+      ...guest,
+      notes,
+      ...stats,
+      last_visit: last_visit ? toDateString(last_visit) : null,
+    },
+  });
+}
+
+/**
+ * Update handler for replacing the tags of a guest
+ */
+async function updateTags(req, res) {
+  const { guest, tags } = res.locals;
+  const data = await service.updateTags(guest.guest_id, tags);
+  res.json({ data });
+}
+
+/**
+ * Create handler for adding a note to a guest
+ * The person adding the note is recorded along with it
+ */
+async function createNote(req, res) {
+  const { guest, note } = res.locals;
+  const data = await service.createNote({
+    guest_id: guest.guest_id,
+    note,
+    actor: getActor(req),
+  });
+  res.status(201).json({ data });
+}
+
+/**
+ * Delete handler for removing a note from a guest
+ */
+async function destroyNote(req, res) {
+  await service.destroyNote(res.locals.note.note_id);
+  res.sendStatus(204);
+}
+
+module.exports = {
+  list: asyncErrorBoundary(list),
+  read: [asyncErrorBoundary(guestExists), asyncErrorBoundary(read)],
+  updateTags: [
+    asyncErrorBoundary(guestExists),
+    hasValidTags,
+    asyncErrorBoundary(updateTags),
+  ],
+  createNote: [
+    asyncErrorBoundary(guestExists),
+    hasValidNote,
+    asyncErrorBoundary(createNote),
+  ],
+  deleteNote: [
+    asyncErrorBoundary(guestExists),
+    asyncErrorBoundary(noteExists),
+    asyncErrorBoundary(destroyNote),
+  ],
+};
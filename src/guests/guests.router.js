@@ -0,0 +1,30 @@
+/**
+ * Defines the router for guest resources.
+ *
+ * @type {Router}
+ */
+
+const router = require("express").Router();
+const controller = require("./guests.controller");
+const methodNotAllowed = require("../errors/methodNotAllowed");
+
+router.route("/").get(controller.list).all(methodNotAllowed);
+
+router.route("/:guest_id").get(controller.read).all(methodNotAllowed);
+
+router
+  .route("/:guest_id/tags")
+  .put(controller.updateTags)
+  .all(methodNotAllowed);
+
+router
+  .route("/:guest_id/notes")
+  .post(controller.createNote)
+  .all(methodNotAllowed);
+
+router
+  .route("/:guest_id/notes/:note_id")
+  .delete(controller.deleteNote)
+  .all(methodNotAllowed);
+
+module.exports = router;
@@ -0,0 +1,144 @@
+const db = require("../db/connection");
+const inTransaction = require("../db/transaction");
+const { normalizePhone } = require("../utils/phone");
+const tableName = "guests";
+const notesTableName = "guest_notes";
+
+// Reservations with these statuses are visits, the guest came in and was seated
+const VISIT_STATUSES = ["seated", "finished"];
+
+/**
+ * List query fetches all of the guests sorted by last_name, then first_name
+ */
+function list() {
+  return db(tableName).select("*").orderBy(["last_name", "first_name"]);
+}
+
+/**
+ * Returns a selected guest from the database
+ */
+function read(guest_id) {
+  return db(tableName).where({ guest_id }).first();
+}
+
+/**
+ * Finds the guest with the reservation's phone number, or creates them if they are new
+ * The guest's name is kept up to date with the name on their latest reservation
+ * Can be made part of another transaction by passing it in as trx
+ * and returns the guest
+ */
+function findOrCreate({ first_name, last_name, mobile_number }, trx) {
+  return inTransaction(trx, (trx) =>
+    trx(tableName)
+      .insert({
+        mobile_number: normalizePhone(mobile_number),
+        first_name,
+        last_name,
+      })
+      .onConflict("mobile_number")
+      .merge({ first_name, last_name, updated_at: new Date() })
+      .returning("*")
+      .then((rows) => rows[0])
+  );
+}
+
+/**
+ * Replaces the tags of the selected guest
+ * and returns the entire updated guest
+ */
+function updateTags(guest_id, tags) {
+  return db(tableName)
+    .where({ guest_id })
+    .update({ tags, updated_at: new Date() }, "*")
+    .then((rows) => rows[0]);
+}
+
+/**
+ * Lists the selected guests, along with each of their notes
+ * Used to attach guest details to reservations
+ */
+async function listWithNotes(guest_ids) {
+  const guests = await db(tableName)
+    .select("guest_id", "tags")
+    .whereIn("guest_id", guest_ids);
+  const notes = await listNotes(guest_ids);
+  return guests.map((guest) => ({
+    ...guest,
+    notes: notes.filter(({ guest_id }) => guest_id === guest.guest_id),
+  }));
+}
+
+/**
+ * Lists the notes of the selected guests
+ * Sorted from the oldest note to the newest
+ */
+function listNotes(guest_ids) {
+  return db(notesTableName)
+    .select("*")
+    .whereIn("guest_id", [].concat(guest_ids))
+    .orderBy(["created_at", "note_id"]);
+}
+
+/**
+ * Creates a new note for a guest
+ * and returns the inserted object
+ */
+function createNote(note) {
+  return db(notesTableName)
+    .insert(note)
+    .returning("*")
+    .then((rows) => rows[0]);
+}
+
+/**
+ * Returns a selected note of a guest from the database
+ */
+function readNote(guest_id, note_id) {
+  return db(notesTableName).where({ guest_id, note_id }).first();
+}
+
+/**
+ * Deletes the selected note
+ */
+function destroyNote(note_id) {
+  return db(notesTableName).where({ note_id }).del();
+}
+
+/**
+ * Returns the lifetime stats of a guest, counted from their reservations
+ * Visits and covers only count reservations where the guest was seated
+ */
+function readStats(guest_id) {
+  const visit = `status IN (${VISIT_STATUSES.map(() => "?").join(", ")})`;
+  return db("reservations")
+    .where({ guest_id })
+    .select(
+      db.raw(`count(*) FILTER (WHERE ${visit})::int AS visits`, VISIT_STATUSES),
+      db.raw(
+        `coalesce(sum(people) FILTER (WHERE ${visit}), 0)::int AS covers`,
+        VISIT_STATUSES
+      ),
+      db.raw("count(*) FILTER (WHERE status = 'no_show')::int AS no_shows"),
+      db.raw(
+        "count(*) FILTER (WHERE status = 'cancelled')::int AS cancellations"
+      ),
+      db.raw(
+        `max(reservation_date) FILTER (WHERE ${visit}) AS last_visit`,
+        VISIT_STATUSES
+      )
+    )
+    .first();
+}
+
+module.exports = {
+  list,
+  read,
+  findOrCreate,
+  updateTags,
+  listWithNotes,
+  listNotes,
+  createNote,
+  readNote,
+  destroyNote,
+  readStats,
+};
@@ -0,0 +1,218 @@
+const asyncErrorBoundary = require("../errors/asyncErrorBoundary");
+const service = require("./hours.service");
+const { DAY_NAMES, isValidTime, toMinutes } = require("../utils/time");
+
+const REQUIRED_PROPERTIES = [
+  "day_of_week",
+  "service_name",
+  "open_time",
+  "close_time",
+];
+
+const VALID_PROPERTIES = [
+  ...REQUIRED_PROPERTIES,
+  "last_seating_offset",
+  "hours_id",
+  "created_at",
+  "updated_at",
+];
+
+/**
+ * Middleware validation for request bodies
+ * Ensures the request body has all the necessary properties before proceeding
+ * Then also ensures all of the required data is of the correct data type
+ * day_of_week may be 0 (Sunday), so properties are checked for existence rather than truthiness
+ */
+function bodyHasAllRequiredFields(req, res, next) {
+  const { data = {} } = req.body;
+
+  for (let property of REQUIRED_PROPERTIES) {
+    if ([undefined, null, ""].includes(data[property]))
+      return next({
+        status: 400,
+        message: `The data in the request body requires a ${property} field.`,
+      });
+  }
+
+  if (!Number.isInteger(data.day_of_week) || !DAY_NAMES[data.day_of_week])
+    return next({
+      status: 400,
+      message: `The day_of_week property (${data.day_of_week}) must be a whole number from 0 (Sunday) to 6 (Saturday).`,
+    });
+
+  for (let property of ["open_time", "close_time"]) {
+    if (!isValidTime(data[property]))
+      return next({
+        status: 400,
+        message: `The ${property} property (${data[property]}) must be a valid time in the format of HH:MM.`,
+      });
+  }
+
+  if (toMinutes(data.open_time) >= toMinutes(data.close_time))
+    return next({
+      status: 400,
+      message: `The open_time (${data.open_time}) must be before the close_time (${data.close_time}).`,
+    });
+
+  const { last_seating_offset = 0 } = data;
+  if (
+    !Number.isInteger(last_seating_offset) ||
+    last_seating_offset < 0 ||
+    last_seating_offset >=
+      toMinutes(data.close_time) - toMinutes(data.open_time)
+  )
+    return next({
+      status: 400,
+      message: `The last_seating_offset property (${last_seating_offset}) must be a whole number of minutes that is 0 or greater, and shorter than the service itself.`,
+    });
+
+  res.locals.newHours = data;
+  return next();
+}
+
+/**
+ * Middleware validation for request bodies
+ * Ensures the request body only has properties that are allowed before proceeding
+ */
+function bodyHasNoInvalidFields(req, res, next) {
+  const { newHours } = res.locals;
+  const invalidFields = Object.keys(newHours).filter(
+    (field) => !VALID_PROPERTIES.includes(field)
+  );
+
+  if (invalidFields.length) {
+    return next({
+      status: 400,
+      message: `Invalid field(s): ${invalidFields.join(", ")}`,
+    });
+  }
+  return next();
+}
+
+/**
+ * Middleware validation for request parameters
+ * Ensures that the hours_id param corresponds to a valid operating hours window
+ */
+async function hoursExist(req, res, next) {
+  const { hours_id } = req.params;
+  const hours = await service.read(hours_id);
+
+  if (!hours)
+    return next({
+      status: 404,
+      message: `Operating hours ${hours_id} cannot be found.`,
+    });
+
+  res.locals.hours = hours;
+  return next();
+}
+
+/**
+ * Middleware validation for request bodies
+ * Ensures the new window does not overlap any other service on the same day
+ * When updating, the window being replaced is ignored
+ */
+async function hasNoOverlappingHours(req, res, next) {
+  const { newHours, hours = {} } = res.locals;
+  const sameDay = await service.listByDay(newHours.day_of_week);
+
+  const overlapping = sameDay.find(
+    (other) =>
+      other.hours_id !== hours.hours_id &&
+      toMinutes(newHours.open_time) < toMinutes(other.close_time) &&
+      toMinutes(other.open_time) < toMinutes(newHours.close_time)
+  );
+
+  if (overlapping)
+    return next({
+      status: 400,
+      message: `These hours overlap the existing '${
+        overlapping.service_name
+      }' service (#${overlapping.hours_id}) on ${
+        DAY_NAMES[newHours.day_of_week]
+      }.`,
+    });
+  return next();
+}
+
+/**
+ * Validation middleware for update operating hours
+ * Ensures that uneditable properties are not being changed
+ * And forces update_at to become the new date
+ */
+function validateHoursUpdate(req, res, next) {
+  const { hours, newHours } = res.locals;
+  const { hours_id: newId = hours.hours_id } = newHours;
+
+  if (hours.hours_id !== newId)
+    return next({
+      status: 400,
+      message: `You are attempting to change these hours' id from ${hours.hours_id} to ${newId}. You cannot change an id.`,
+    });
+
+  delete newHours.created_at;
+  newHours.updated_at = new Date();
+  return next();
+}
+
+/**
+ * List handler for operating hours resources
+ */
+async function list(req, res) {
+  const data = await service.list();
+  res.json({ data });
+}
+
+/**
+ * Create handler for new operating hours windows
+ */
+async function create(req, res) {
+  const { newHours } = res.locals;
+  const data = await service.create(newHours);
+  res.status(201).json({ data });
+}
+
+/**
+ * Read handler for reading a specified operating hours window
+ */
+function read(req, res) {
+  res.json({ data: res.locals.hours });
+}
+
+/**
+ * Update handler for editing an entire operating hours window
+ */
+async function update(req, res) {
+  const { hours, newHours } = res.locals;
+  const data = await service.update(hours.hours_id, newHours);
+  res.json({ data });
+}
+
+/**
+ * Delete handler for removing an operating hours window
+ * Removing every window for a day closes the restaurant on that day
+ */
+async function destroy(req, res) {
+  await service.destroy(res.locals.hours.hours_id);
+  res.sendStatus(204);
+}
+
+module.exports = {
+  list: asyncErrorBoundary(list),
+  create: [
+    bodyHasAllRequiredFields,
+    bodyHasNoInvalidFields,
+    asyncErrorBoundary(hasNoOverlappingHours),
+    asyncErrorBoundary(create),
+  ],
+  read: [asyncErrorBoundary(hoursExist), read],
+  update: [
+    asyncErrorBoundary(hoursExist),
+    bodyHasAllRequiredFields,
+    bodyHasNoInvalidFields,
+    validateHoursUpdate,
+    asyncErrorBoundary(hasNoOverlappingHours),
+    asyncErrorBoundary(update),
+  ],
+  delete: [asyncErrorBoundary(hoursExist), asyncErrorBoundary(destroy)],
+};
@@ -0,0 +1,61 @@
+const db = require("../db/connection");
+const tableName = "operating_hours";
+
+/**
+ * List query fetches every operating hours window
+ * Sorted by day of the week, then by the time each service opens
+ */
+function list() {
+  return db(tableName)
+    .select("*")
+    .orderBy([{ column: "day_of_week" }, { column: "open_time" }]);
+}
+
+/**
+ * List query fetches the operating hours windows for a single day of the week
+ * Sorted by the time each service opens
+ */
+function listByDay(day_of_week) {
+  return db(tableName)
+    .select("*")
+    .where({ day_of_week })
+    .orderBy("open_time", "ASC");
+}
+
+/**
+ * Create inserts a new operating hours window into the table data
+ * and returns the inserted object
+ */
+function create(hours) {
+  return db(tableName)
+    .insert(hours)
+    .returning("*")
+    .then((rows) => rows[0]);
+}
+
+/**
+ * Returns a selected operating hours window from the database
+ */
+function read(hours_id) {
+  return db(tableName).where({ hours_id }).first();
+}
+
+/**
+ * Updates the entire selected operating hours window
+ * and returns the entire updated object
+ */
+function update(hours_id, hours) {
+  return db(tableName)
+    .where({ hours_id })
+    .update(hours, "*")
+    .then((rows) => rows[0]);
+}
+
+/**
+ * Deletes the selected operating hours window
+ */
+function destroy(hours_id) {
+  return db(tableName).where({ hours_id }).del();
+}
+
+module.exports = { list, listByDay, create, read, update, destroy };
@@ -0,0 +1,41 @@
+const db = require("../db/connection");
+const tableName = "idempotency_keys";
+
+/**
+ * Returns the stored request (and its response, once there is one) for an idempotency key
+ */
+function read(idempotency_key) {
+  return db(tableName).where({ idempotency_key }).first();
+}
+
+/**
+ * Stores a new idempotency key before its request is handled
+ * Resolves to false, without storing anything, if another request already stored the same key
+ */
+function create(idempotencyKey) {
+  return db(tableName)
+    .insert(idempotencyKey)
+    .onConflict("idempotency_key")
+    .ignore()
+    .returning("*")
+    .then((rows) => rows.length > 0);
+}
+
+/**
+ * Stores the response of an idempotency key's request, so it can be replayed
+ */
+function saveResponse(idempotency_key, response_status, response_body) {
+  return db(tableName)
+    .where({ idempotency_key })
+    .update({ response_status, response_body: JSON.stringify(response_body) });
+}
+
+/**
+ * Deletes an idempotency key
+ * Used for expired keys, and for requests that failed without a response worth replaying
+ */
+function destroy(idempotency_key) {
+  return db(tableName).where({ idempotency_key }).del();
+}
+
+module.exports = { read, create, saveResponse, destroy };
@@ -0,0 +1,98 @@
+const crypto = require("crypto");
+const asyncErrorBoundary = require("../errors/asyncErrorBoundary");
+const service = require("./idempotency.service");
+
+const { IDEMPOTENCY_WINDOW_HOURS = 24 } = process.env;
+
+/**
+ * @param req
+ *  the request being made
+ * @returns
+ *  a hash of the request body, used to make sure a retry is the same request
+ */
+function _hashBody(req) {
+  return crypto
+    .createHash("sha256")
+    .update(JSON.stringify(req.body || {}))
+    .digest("hex");
+}
+
+/**
+ * Express middleware for routes that must not be repeated when a client retries, such as creating a reservation or seating a table
+ * When the request has an Idempotency-Key header, the first response for that key is stored
+ * and replayed for every retry with the same key within IDEMPOTENCY_WINDOW_HOURS (24 by default)
+ * Reusing a key for a different request is rejected with a 422,
+ * and a retry that arrives while the first request is still being handled is rejected with a 409
+ * Requests without an Idempotency-Key header are handled as usual
+ */
+async function idempotent(req, res, next) {
+  const idempotency_key = req.get("Idempotency-Key");
+  if (!idempotency_key) return next();
+
+  if (idempotency_key.length > 255)
+    return next({
+      status: 400,
+      message: `The Idempotency-Key header must be 255 characters or less.`,
+    });
+
+  const request = {
+    idempotency_key,
+    request_method: req.method,
+    request_path: req.originalUrl,
+    request_hash: _hashBody(req),
+  };
+
+  let stored = await service.read(idempotency_key);
+  const windowStart = Date.now() - IDEMPOTENCY_WINDOW_HOURS * 60 * 60 * 1000;
+  if (stored && new Date(stored.created_at).getTime() < windowStart) {
+    await service.destroy(idempotency_key);
+    stored = null;
+  }
+
+  if (stored) {
+    if (
+      stored.request_method !== request.request_method ||
+      stored.request_path !== request.request_path ||
+      stored.request_hash !== request.request_hash
+    )
+      return next({
+        status: 422,
+        message: `The Idempotency-Key '${idempotency_key}' was already used for a different request. Use a new key for each new request.`,
+      });
+
+    if (stored.response_status === null)
+      return next({
+        status: 409,
+        message: `A request with the Idempotency-Key '${idempotency_key}' is still being handled. Try again shortly.`,
+      });
+
+    return res
+      .set("Idempotent-Replayed", "true")
+      .status(stored.response_status)
+      .json(stored.response_body);
+  }
+
+  if (!(await service.create(request)))
+    return next({
+      status: 409,
+      message: `A request with the Idempotency-Key '${idempotency_key}' is still being handled. Try again shortly.`,
+    });
+
+  // Store the response before sending it, so a retry always finds it
+  // Server errors are not stored, the key is freed so the request can be retried
+  const json = res.json.bind(res);
+  res.json = (body) => {
+    const saved =
+      res.statusCode >= 500
+        ? service.destroy(idempotency_key)
+        : service.saveResponse(idempotency_key, res.statusCode, body);
+    saved.then(
+      () => json(body),
+      () => json(body)
+    );
+    return res;
+  };
+  return next();
+}
+
+module.exports = asyncErrorBoundary(idempotent);
@@ -0,0 +1,191 @@
+const asyncErrorBoundary = require("../errors/asyncErrorBoundary");
+const service = require("./pacing.service");
+
+const LIMIT_PROPERTIES = ["max_covers", "max_parties"];
+
+const VALID_PROPERTIES = [
+  "service_name",
+  ...LIMIT_PROPERTIES,
+  "pacing_rule_id",
+  "created_at",
+  "updated_at",
+];
+
+/**
+ * Middleware validation for request bodies
+ * Ensures the request body has a service_name and at least one limit before proceeding
+ * Then also ensures every limit is a whole number of 1 or greater
+ * A limit that is left out (or null) is not enforced
+ */
+function bodyHasAllRequiredFields(req, res, next) {
+  const { data = {} } = req.body;
+
+  if (!data.service_name)
+    return next({
+      status: 400,
+      message: `The data in the request body requires a service_name field.`,
+    });
+
+  if (LIMIT_PROPERTIES.every((property) => data[property] == null))
+    return next({
+      status: 400,
+      message: `The data in the request body requires a ${LIMIT_PROPERTIES.join(
+        " or "
+      )} field.`,
+    });
+
+  for (let property of LIMIT_PROPERTIES) {
+    if (
+      data[property] != null &&
+      (!Number.isInteger(data[property]) || data[property] < 1)
+    )
+      return next({
+        status: 400,
+        message: `The ${property} property (${data[property]}) must be a whole number that is 1 or greater.`,
+      });
+  }
+
+  res.locals.newPacingRule = data;
+  return next();
+}
+
+/**
+ * Middleware validation for request bodies
+ * Ensures the request body only has properties that are allowed before proceeding
+ */
+function bodyHasNoInvalidFields(req, res, next) {
+  const { newPacingRule } = res.locals;
+  const invalidFields = Object.keys(newPacingRule).filter(
+    (field) => !VALID_PROPERTIES.includes(field)
+  );
+
+  if (invalidFields.length) {
+    return next({
+      status: 400,
+      message: `Invalid field(s): ${invalidFields.join(", ")}`,
+    });
+  }
+  return next();
+}
+
+/**
+ * Middleware validation for request parameters
+ * Ensures that the pacing_rule_id param corresponds to a valid pacing rule
+ */
+async function pacingRuleExists(req, res, next) {
+  const { pacing_rule_id } = req.params;
+  const pacingRule = await service.read(pacing_rule_id);
+
+  if (!pacingRule)
+    return next({
+      status: 404,
+      message: `Pacing rule ${pacing_rule_id} cannot be found.`,
+    });
+
+  res.locals.pacingRule = pacingRule;
+  return next();
+}
+
+/**
+ * Middleware validation for request bodies
+ * Ensures there is only ever one pacing rule for each service
+ * When updating, the pacing rule being replaced is ignored
+ */
+async function isServiceAvailable(req, res, next) {
+  const { newPacingRule, pacingRule = {} } = res.locals;
+  const existing = await service.readByService(newPacingRule.service_name);
+
+  if (existing && existing.pacing_rule_id !== pacingRule.pacing_rule_id)
+    return next({
+      status: 400,
+      message: `The '${newPacingRule.service_name}' service already has pacing rule #${existing.pacing_rule_id}. Update that pacing rule instead.`,
+    });
+  return next();
+}
+
+/**
+ * Validation middleware for update pacing rules
+ * Ensures that uneditable properties are not being changed
+ * And forces update_at to become the new date
+ */
+function validatePacingRuleUpdate(req, res, next) {
+  const { pacingRule, newPacingRule } = res.locals;
+  const { pacing_rule_id: newId = pacingRule.pacing_rule_id } = newPacingRule;
+
+  if (pacingRule.pacing_rule_id !== newId)
+    return next({
+      status: 400,
+      message: `You are attempting to change this pacing rule's id from ${pacingRule.pacing_rule_id} to ${newId}. You cannot change an id.`,
+    });
+
+  // A limit left out of a full update is no longer enforced
+  for (let property of LIMIT_PROPERTIES) {
+    if (newPacingRule[property] === undefined) newPacingRule[property] = null;
+  }
+
+  delete newPacingRule.created_at;
+  newPacingRule.updated_at = new Date();
+  return next();
+}
+
+/**
+ * List handler for pacing rule resources
+ */
+async function list(req, res) {
+  const data = await service.list();
+  res.json({ data });
+}
+
+/**
+ * Create handler for new pacing rules
+ */
+async function create(req, res) {
+  const { newPacingRule } = res.locals;
+  const data = await service.create(newPacingRule);
+  res.status(201).json({ data });
+}
+
+/**
+ * Read handler for reading a specified pacing rule
+ */
+function read(req, res) {
+  res.json({ data: res.locals.pacingRule });
+}
+
+/**
+ * Update handler for editing an entire pacing rule
+ */
+async function update(req, res) {
+  const { pacingRule, newPacingRule } = res.locals;
+  const data = await service.update(pacingRule.pacing_rule_id, newPacingRule);
+  res.json({ data });
+}
+
+/**
+ * Delete handler for removing a pacing rule
+ * The service is no longer paced
+ */
+async function destroy(req, res) {
+  await service.destroy(res.locals.pacingRule.pacing_rule_id);
+  res.sendStatus(204);
+}
+
+module.exports = {
+  list: asyncErrorBoundary(list),
+  create: [
+    bodyHasAllRequiredFields,
+    bodyHasNoInvalidFields,
+    asyncErrorBoundary(isServiceAvailable),
+    asyncErrorBoundary(create),
+  ],
+  read: [asyncErrorBoundary(pacingRuleExists), read],
+  update: [
+    asyncErrorBoundary(pacingRuleExists),
+    bodyHasAllRequiredFields,
+    bodyHasNoInvalidFields,
+    validatePacingRuleUpdate,
+    asyncErrorBoundary(isServiceAvailable),
+    asyncErrorBoundary(update),
+  ],
+  delete: [asyncErrorBoundary(pacingRuleExists), asyncErrorBoundary(destroy)],
+};
@@ -0,0 +1,24 @@
+/**
+ * Defines the router for pacing rule resources.
+ *
+ * @type {Router}
+ */
+
+const router = require("express").Router();
+const controller = require("./pacing.controller");
+const methodNotAllowed = require("../errors/methodNotAllowed");
+
+router
+  .route("/")
+  .get(controller.list)
+  .post(controller.create)
+  .all(methodNotAllowed);
+
+router
+  .route("/:pacing_rule_id")
+  .get(controller.read)
+  .put(controller.update)
+  .delete(controller.delete)
+  .all(methodNotAllowed);
+
+module.exports = router;
@@ -0,0 +1,54 @@
+const db = require("../db/connection");
+const tableName = "pacing_rules";
+
+/**
+ * List query fetches all of the pacing rules sorted by service_name
+ */
+function list() {
+  return db(tableName).select("*").orderBy("service_name");
+}
+
+/**
+ * Create inserts a new pacing rule into the table data
+ * and returns the inserted object
+ */
+function create(pacingRule) {
+  return db(tableName)
+    .insert(pacingRule)
+    .returning("*")
+    .then((rows) => rows[0]);
+}
+
+/**
+ * Returns a selected pacing rule from the database
+ */
+function read(pacing_rule_id) {
+  return db(tableName).where({ pacing_rule_id }).first();
+}
+
+/**
+ * Returns the pacing rule for a service, if there is one
+ */
+function readByService(service_name) {
+  return db(tableName).where({ service_name }).first();
+}
+
+/**
+ * Updates the entire selected pacing rule
+ * and returns the entire updated object
+ */
+function update(pacing_rule_id, pacingRule) {
+  return db(tableName)
+    .where({ pacing_rule_id })
+    .update(pacingRule, "*")
+    .then((rows) => rows[0]);
+}
+
+/**
+ * Deletes the selected pacing rule
+ */
+function destroy(pacing_rule_id) {
+  return db(tableName).where({ pacing_rule_id }).del();
+}
+
+module.exports = { list, create, read, readByService, update, destroy };
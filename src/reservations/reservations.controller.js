@@ -1,5 +1,39 @@
 const asyncErrorBoundary = require("../errors/asyncErrorBoundary");
 const service = require("./reservations.service");
+const hoursService = require("../hours/hours.service");
+const specialDatesService = require("../special-dates/special-dates.service");
+const tablesService = require("../tables/tables.service");
+const pacingService = require("../pacing/pacing.service");
+const guestsService = require("../guests/guests.service");
+const {
+  isValidTime,
+  toMinutes,
+  toTime,
+  toDateString,
+  listDates,
+} = require("../utils/time");
+const {
+  getClosedDays,
+  getLastSeating,
+  findServiceWindow,
+  getWindowsForDate,
+  getSlots,
+} = require("../utils/schedule");
+const {
+  TABLE_ATTRIBUTES,
+  getDefaultDuration,
+  isValidAttributeList,
+  canSeatReservation,
+} = require("../utils/seating");
+const { getSlotStart, isWithinPacing } = require("../utils/pacing");
+const { getActor } = require("../utils/actor");
+const { toETag, getIfMatch, isStale, staleError } = require("../utils/etag");
+const { toDigits, normalizePhone } = require("../utils/phone");
+const {
+  parsePageQueries,
+  selectFields,
+  setPageHeaders,
+} = require("../utils/pagination");
 
 const REQUIRED_PROPERTIES = [
   "first_name",
@@ -16,8 +50,77 @@ const VALID_PROPERTIES = [
   "created_at",
   "updated_at",
   "status",
+  "duration",
+  "walk_in",
+  "seating_preferences",
+  "seating_requirements",
+  "guest_id",
 ];
 
+// Seating preferences are nice to have, seating requirements must be met when the party is seated
+const SEATING_PROPERTIES = ["seating_preferences", "seating_requirements"];
+
+// The statuses each status can be changed to
+// Finished and cancelled reservations are archived, seated reservations can only be finished,
+// and a no-show can be booked again if the party turns up late
+const STATUS_TRANSITIONS = {
+  booked: ["booked", "seated", "finished", "cancelled", "no_show"],
+  seated: ["finished"],
+  finished: [],
+  cancelled: [],
+  no_show: ["no_show", "booked", "cancelled"],
+};
+
+// The most alternative times suggested when a reservation cannot be booked
+const MAX_ALTERNATIVES = 3;
+
+// The fields GET /reservations can be filtered on, and the operators each one supports, e.g. people[gte]=6
+// A query without an operator uses the first one, so status=booked,seated is the same as status[in]=booked,seated
+// Lists (for 'in', and 'contains' on seating attributes) are separated by commas
+const FILTERS = {
+  reservation_id: { type: "integer", operators: ["eq", "in", "gte", "lte"] },
+  guest_id: { type: "integer", operators: ["eq", "in"] },
+  first_name: { type: "text", operators: ["contains", "eq", "in"] },
+  last_name: { type: "text", operators: ["contains", "eq", "in"] },
+  mobile_number: { type: "phone", operators: ["contains", "eq"] },
+  reservation_date: {
+    type: "date",
+    operators: ["eq", "in", "gte", "lte", "from", "to"],
+  },
+  reservation_time: {
+    type: "time",
+    operators: ["eq", "gte", "lte", "from", "to"],
+  },
+  people: { type: "integer", operators: ["eq", "in", "gte", "lte"] },
+  duration: { type: "integer", operators: ["eq", "in", "gte", "lte"] },
+  status: { type: "status", operators: ["in", "eq"] },
+  walk_in: { type: "boolean", operators: ["eq"] },
+  seating_preferences: { type: "attributes", operators: ["contains"] },
+  seating_requirements: { type: "attributes", operators: ["contains"] },
+};
+
+// The fields GET /reservations can be sorted on, and the fields that can be selected from each reservation
+const SORTABLE_FIELDS = [
+  "reservation_id",
+  "first_name",
+  "last_name",
+  "mobile_number",
+  "reservation_date",
+  "reservation_time",
+  "people",
+  "duration",
+  "status",
+  "created_at",
+  "updated_at",
+];
+const SELECTABLE_FIELDS = [...VALID_PROPERTIES, "guest"];
+
+// The most days GET /reservations?from=&to= lists at once
+const MAX_DATE_RANGE_DAYS = 62;
+
+// The longest name GET /reservations?q= searches for
+const MAX_NAME_SEARCH_LENGTH = 100;
+
 /**
  * Middleware validation for request bodies
  * Ensures the request body has all the necessary properties before proceeding
@@ -34,6 +137,15 @@ function bodyHasAllRequiredFields(req, res, next) {
       });
   }
 
+  // Validate that the phone number is a valid phone number, and store it in E.164 format
+  const mobile_number = normalizePhone(data.mobile_number);
+  if (!mobile_number)
+    return next({
+      status: 400,
+      message: `The mobile_number property (${data.mobile_number}) must be a valid phone number.`,
+    });
+  data.mobile_number = mobile_number;
+
   // Validate that the date is in the correct format
   if (!data.reservation_date.match(/\d\d\d\d-\d\d-\d\d/))
     return next({
@@ -65,6 +177,42 @@ function bodyHasAllRequiredFields(req, res, next) {
       } of type ${typeof data.people}) must be a number.`,
     });
 
+  // Duration is optional, and defaults to the expected turn time for the size of the party
+  // An edited reservation keeps its duration if it was set to something other than that default,
+  // otherwise it is defaulted again in case the size of the party changed
+  const { reservation } = res.locals;
+  if (data.duration === undefined || data.duration === null)
+    data.duration =
+      reservation &&
+      reservation.duration !== getDefaultDuration(reservation.people)
+        ? reservation.duration
+        : getDefaultDuration(data.people);
+
+  if (
+    !Number.isInteger(data.duration) ||
+    data.duration < 15 ||
+    data.duration > 24 * 60
+  )
+    return next({
+      status: 400,
+      message: `The duration property (${data.duration}) must be a whole number of minutes from 15 to 1440.`,
+    });
+
+  for (let property of SEATING_PROPERTIES) {
+    if (data[property] === undefined || data[property] === null)
+      data[property] = [];
+
+    if (!isValidAttributeList(data[property]))
+      return next({
+        status: 400,
+        message: `The ${property} property (${
+          data[property]
+        }) must be a list of unique table attributes from: ${TABLE_ATTRIBUTES.join(
+          ", "
+        )}`,
+      });
+  }
+
   res.locals.newReservation = data;
   return next();
 }
@@ -72,15 +220,21 @@ function bodyHasAllRequiredFields(req, res, next) {
 /**
  * Validation Middleware only for POST requests with new Reservations
  * If an optional status is added, only allow it to post if the value is 'booked'
+ * Walk-ins are only ever created by seating a party from the waitlist
  * on PUT requests, instead use validateUpdateStatus middleware
  */
 function validateNewStatus(req, res, next) {
-  const { status = "booked" } = res.locals.newReservation;
+  const { status = "booked", walk_in = false } = res.locals.newReservation;
   if (status !== "booked")
     return next({
       status: 400,
       message: `Status cannot be set to '${status}'. When creating a reservation, it must have the default status of 'booked', or no status at all.`,
     });
+  if (walk_in)
+    return next({
+      status: 400,
+      message: `Walk-in reservations cannot be booked ahead of time. Add the party to the waitlist and seat them from there instead.`,
+    });
   return next();
 }
 
@@ -90,6 +244,10 @@ function validateNewStatus(req, res, next) {
  */
 function bodyHasNoInvalidFields(req, res, next) {
   const { newReservation } = res.locals;
+
+  // The guest's tags and notes are attached to reservation responses, and are edited through /guests instead
+  delete newReservation.guest;
+
   const invalidFields = Object.keys(newReservation).filter(
     (field) => !VALID_PROPERTIES.includes(field)
   );
@@ -110,14 +268,11 @@ function bodyHasNoInvalidFields(req, res, next) {
  * This validation ensures the date and time are not in the past
  * And that both are during a time that the restaurant is open
  *
- * Restaurant's operational dates and times are set at the start of this function
+ * Restaurant's operational dates and times are read from the operating hours settings (see /settings/hours)
+ * A day without any operating hours windows is a day the restaurant is closed
+ * Special dates (see /special-dates) override the weekly hours with a blackout or special hours
  */
-function validateDateTime(req, res, next) {
-  // 0 is Sunday -- 6 is Saturday
-  const closedDays = { 2: "Tuesday" }; // Days the restaurant is closed -- Restaurant is currently closed on only closed on Tuesdays (2)
-  const startTime = "10:30"; // Start time is the target date at opening time
-  const closeTime = "21:30"; // End time is the target date an hour before closing time
-
+async function validateDateTime(req, res, next) {
   const { reservation_date, reservation_time } = res.locals.newReservation;
   const date = new Date(`${reservation_date}T${reservation_time}`);
   const today = new Date();
@@ -129,28 +284,48 @@ function validateDateTime(req, res, next) {
       message: `Your reservation cannot be made for a date or time of the past. Please select a future date.`,
     });
 
+  const hours = await hoursService.list();
+  const specialDate = await specialDatesService.readByDate(reservation_date);
+
+  // If the date has been blacked out, the restaurant is closed regardless of the weekly hours
+  if (specialDate && specialDate.closed)
+    return next({
+      status: 400,
+      message: `The restaurant is closed on ${reservation_date}${
+        specialDate.description ? ` (${specialDate.description})` : ""
+      }. Please select another date.`,
+    });
+
   // If the restaurant is closed on that day, generate the appropriate error message
-  if (closedDays[date.getDay()]) {
+  const closedDays = getClosedDays(hours);
+  if (!specialDate && closedDays[date.getDay()]) {
     return next({
       status: 400,
       message: _generateClosedMessage(closedDays, date.getDay()),
     });
   }
 
-  const startDateTime = new Date(`${reservation_date}T${startTime}`); // Date-time with target date and startTime
-  const closeDateTime = new Date(`${reservation_date}T${closeTime}`); //
+  // Each service (lunch, dinner...) takes reservations from its opening time until its last seating
+  const windows = getWindowsForDate(hours, date, specialDate);
+  const serviceWindow = findServiceWindow(windows, reservation_time);
 
   // If the restaurant isn't taking reservations for that time, throw an error
-  if (
-    Date.parse(date) < Date.parse(startDateTime) ||
-    Date.parse(date) > Date.parse(closeDateTime)
-  ) {
+  if (!serviceWindow) {
+    const timeframes = windows
+      .map(
+        (window) =>
+          `${toTime(toMinutes(window.open_time))} and ${toTime(
+            getLastSeating(window)
+          )}`
+      )
+      .join(", or between ");
     return next({
       status: 400,
-      message: `Your reservation cannot be made for that time (${reservation_time}). The restaurant is only taking reservations between ${startTime} and ${closeTime}`,
+      message: `Your reservation cannot be made for that time (${reservation_time}). The restaurant is only taking reservations between ${timeframes}`,
     });
   }
 
+  res.locals.serviceWindow = serviceWindow;
   return next();
 }
 
@@ -192,6 +367,148 @@ function _generateClosedMessage(closedDays, selectedDay) {
   return closedMessage + "s."; // Return the final message with a plural "s" and a period at the end
 }
 
+/**
+ * @param reservation_date
+ *  the date to list reservations for
+ * @param excludedId
+ *  the id of a reservation to leave out, such as the reservation being updated
+ * @returns
+ *  every booked or seated reservation on the date, which are the reservations that hold tables
+ */
+async function _listActiveReservations(reservation_date, excludedId) {
+  const reservations = await service.searchByDate(reservation_date);
+  return reservations.filter(
+    ({ reservation_id, status }) =>
+      reservation_id !== excludedId &&
+      (status === "booked" || status === "seated")
+  );
+}
+
+/**
+ * @param reservation
+ *  the reservation being booked, with a reservation_date, duration and people
+ * @param excludedId
+ *  the id of a reservation to leave out, such as the reservation being updated
+ * @returns
+ *  every future reservation time on the date where the restaurant is open,
+ *  the tables can seat the party for its entire duration,
+ *  and the party's arrival keeps the slot within its service's pacing rule
+ */
+async function _listAvailableSlots(reservation, excludedId) {
+  const { reservation_date, duration, people } = reservation;
+  const hours = await hoursService.list();
+  const specialDate = await specialDatesService.readByDate(reservation_date);
+  const tables = await tablesService.list();
+  const pacingRules = await pacingService.list();
+  const reservations = await _listActiveReservations(
+    reservation_date,
+    excludedId
+  );
+
+  const now = new Date();
+  const windows = getWindowsForDate(
+    hours,
+    new Date(`${reservation_date}T00:00`),
+    specialDate
+  );
+
+  return getSlots(windows).filter(
+    ({ reservation_time, window }) =>
+      Date.parse(`${reservation_date}T${reservation_time}`) > Date.parse(now) &&
+      canSeatReservation(tables, reservations, {
+        reservation_time,
+        duration,
+        people,
+      }) &&
+      isWithinPacing(
+        pacingRules.find(
+          ({ service_name }) => service_name === window.service_name
+        ),
+        reservations,
+        window,
+        { reservation_time, people }
+      )
+  );
+}
+
+/**
+ * Middleware validation for the table inventory
+ * This middleware will always come after validateDateTime
+ *
+ * Ensures the tables can seat the new or updated reservation for its entire duration,
+ * alongside every other booked or seated reservation whose duration overlaps it
+ * When updating, the reservation's own previous booking is ignored
+ */
+async function validateTableInventory(req, res, next) {
+  const { newReservation, reservation = {} } = res.locals;
+  const tables = await tablesService.list();
+  const reservations = await _listActiveReservations(
+    newReservation.reservation_date,
+    reservation.reservation_id
+  );
+
+  if (!canSeatReservation(tables, reservations, newReservation)) {
+    const { reservation_time, duration, people } = newReservation;
+    const start = toMinutes(reservation_time);
+    return next({
+      status: 400,
+      message: `There are not enough tables to seat ${people} people between ${toTime(
+        start
+      )} and ${toTime(start + duration)}. Please select another time.`,
+    });
+  }
+  return next();
+}
+
+/**
+ * Middleware validation for the kitchen's pacing
+ * This middleware will always come after validateDateTime, which finds the service being booked
+ *
+ * Ensures the party's arrival keeps its slot within the max_parties and max_covers of the service's pacing rule
+ * When the slot is full, the nearest available slots on the same date are returned as alternatives
+ * When updating, the reservation's own previous booking is ignored
+ */
+async function validatePacing(req, res, next) {
+  const { newReservation, serviceWindow, reservation = {} } = res.locals;
+  const pacingRule = await pacingService.readByService(
+    serviceWindow.service_name
+  );
+  const reservations = await _listActiveReservations(
+    newReservation.reservation_date,
+    reservation.reservation_id
+  );
+
+  if (isWithinPacing(pacingRule, reservations, serviceWindow, newReservation))
+    return next();
+
+  const requested = toMinutes(newReservation.reservation_time);
+  const slots = await _listAvailableSlots(
+    newReservation,
+    reservation.reservation_id
+  );
+  const alternatives = slots
+    .sort(
+      (a, b) =>
+        Math.abs(toMinutes(a.reservation_time) - requested) -
+        Math.abs(toMinutes(b.reservation_time) - requested)
+    )
+    .slice(0, MAX_ALTERNATIVES)
+    .map(({ reservation_time, window }) => ({
+      reservation_time,
+      service_name: window.service_name,
+    }));
+
+  return next({
+    status: 400,
+    message: `The kitchen cannot take any more ${
+      newReservation.people
+    } person parties arriving at ${toTime(
+      getSlotStart(serviceWindow, newReservation.reservation_time)
+    )}. Please select another time.`,
+    details: { alternatives },
+  });
+}
+
 /**
  * Middleware validation for request parameters
  * Ensures that the reservation_id param corresponds to a valid reservation
@@ -210,6 +527,22 @@ async function reservationExists(req, res, next) {
   return next();
 }
 
+/**
+ * Middleware validation for optimistic concurrency
+ * When the request has an If-Match header, it must match the reservation's current ETag
+ * Otherwise someone else changed the reservation since it was loaded, and the change would overwrite theirs
+ * This rejects the request before it is validated against an old version, the update checks it again
+ * while the reservation is locked, in case it is changed in the meantime, see service.update()
+ */
+function reservationIsCurrent(req, res, next) {
+  const { reservation } = res.locals;
+  if (isStale(getIfMatch(req), reservation))
+    return next(
+      staleError(`Reservation #${reservation.reservation_id}`, "reservation")
+    );
+  return next();
+}
+
 /**
  * Middleware validation for the request bodies
  * Ensures that the request body has a status field
@@ -219,7 +552,7 @@ async function reservationExists(req, res, next) {
 function validateUpdateStatus(req, res, next) {
   const { data: { status } = {} } = req.body;
   const { reservation } = res.locals;
-  const validStatuses = ["booked", "seated", "finished", "cancelled"];
+  const validStatuses = Object.keys(STATUS_TRANSITIONS);
 
   // There must be a status in the request body
   if (!status)
@@ -251,6 +584,16 @@ function validateUpdateStatus(req, res, next) {
       message: `A 'seated' reservation can not be updated to '${status}'. Seated reservations can only have their status changed to 'finished'.`,
     });
 
+  if (!STATUS_TRANSITIONS[reservation.status].includes(status))
+    return next({
+      status: 400,
+      message: `A '${
+        reservation.status
+      }' reservation can not be updated to '${status}'. It can only have its status changed to '${STATUS_TRANSITIONS[
+        reservation.status
+      ].join("', '")}'.`,
+    });
+
   res.locals.status = status;
   return next();
 }
@@ -285,25 +628,138 @@ function validateReservationUpdate(req, res, next) {
       message: `You cannot alter the date this reservation was created on. Either remove 'created_at' from the request body or ensure it matches the original date`,
     });
 
+  // A reservation stays a walk-in (or not) regardless of the request body
+  newReservation.walk_in = res.locals.reservation.walk_in;
+
   // Updated_at will always be set to the current date, regardless of the request body
   newReservation.updated_at = new Date();
 
   return next();
 }
 
+/**
+ * @param type
+ *  the type of the field being filtered on, see FILTERS
+ * @param value
+ *  a single value from the query string
+ * @returns
+ *  the value converted for the database query, or undefined if it is not valid for the type
+ */
+function _parseFilterValue(type, value) {
+  switch (type) {
+    case "integer":
+      return /^\d+$/.test(value) ? Number(value) : undefined;
+    case "date":
+      return /^\d\d\d\d-\d\d-\d\d$/.test(value) &&
+        !Number.isNaN(Date.parse(value))
+        ? value
+        : undefined;
+    case "time":
+      return isValidTime(value) ? value : undefined;
+    case "status":
+      return Object.keys(STATUS_TRANSITIONS).includes(value)
+        ? value
+        : undefined;
+    case "boolean":
+      return value === "true" || value === "false"
+        ? value === "true"
+        : undefined;
+    case "attributes":
+      return TABLE_ATTRIBUTES.includes(value) ? value : undefined;
+    default:
+      return value.trim() ? value : undefined;
+  }
+}
+
+/**
+ * @returns
+ *  the filter for one operator of a query, e.g. { field: "people", type: "integer", operator: "gte", value: 6 }
+ *  or an error for next() if it is not valid
+ */
+function _parseFilter(field, operator, value) {
+  const { type, operators } = FILTERS[field];
+  const invalid = (expected) => ({
+    error: {
+      status: 400,
+      message: `The ${field} query (${value}) must be ${expected}.`,
+    },
+  });
+
+  if (!operators.includes(operator))
+    return {
+      error: {
+        status: 400,
+        message: `The ${field} query does not support the '${operator}' operator. Use one of: ${operators.join(
+          ", "
+        )}`,
+      },
+    };
+  if (typeof value !== "string") return invalid("a single value");
+
+  // Phone numbers are matched on their digits, or exactly on their E.164 format
+  if (type === "phone") {
+    const phone = operator === "eq" ? normalizePhone(value) : toDigits(value);
+    return phone
+      ? { filter: { field, type, operator, value: phone } }
+      : invalid("a phone number, or part of one");
+  }
+
+  const isList =
+    operator === "in" || (operator === "contains" && type === "attributes");
+  const values = (isList ? value.split(",") : [value]).map((value) =>
+    _parseFilterValue(type, value)
+  );
+  if (values.includes(undefined))
+    return invalid(
+      `${isList ? "a comma separated list of" : "a"} valid ${type} value${
+        isList ? "s" : ""
+      }`
+    );
+
+  return {
+    filter: { field, type, operator, value: isList ? values : values[0] },
+  };
+}
+
 /**
  * Middleware validation for list Reservations
- * Ensures that all queries on the request are valid
- * If there is no query, this middleware is skipped
+ * Ensures that all queries on the request are valid, and converts the filters into res.locals.filters
+ * A filter is either field=value or field[operator]=value, see FILTERS for the fields and operators
+ * The page, limit, sort and fields queries are stored in res.locals.page and res.locals.fields, see parsePageQueries()
  */
 function validateReqQueries(req, res, next) {
-  const { query } = req;
+  const { date, from, to, tag, q, page, limit, sort, fields, ...query } =
+    req.query;
+  res.locals.filters = [];
 
-  // Skip this middleware if there are no queries
-  if (!query) return next();
+  const pageQueries = parsePageQueries(
+    req.query,
+    SORTABLE_FIELDS,
+    SELECTABLE_FIELDS
+  );
+  if (pageQueries.error) return next(pageQueries.error);
+  res.locals.page = pageQueries.page;
+  res.locals.fields = pageQueries.fields;
+
+  // The name search matches names that are spelled differently, see service.search()
+  if (
+    q !== undefined &&
+    (typeof q !== "string" || !q.trim() || q.length > MAX_NAME_SEARCH_LENGTH)
+  )
+    return next({
+      status: 400,
+      message: `The q query (${q}) must be a name of 1 to ${MAX_NAME_SEARCH_LENGTH} characters.`,
+    });
+
+  // Only one tag can be searched for at a time, see service._whereGuestIsTagged()
+  if (tag !== undefined && (typeof tag !== "string" || !tag.trim()))
+    return next({
+      status: 400,
+      message: `The tag query (${tag}) must be a single, non-empty tag.`,
+    });
 
   const invalidQueries = Object.keys(query).filter(
-    (property) => !VALID_PROPERTIES.includes(property) && property !== "date"
+    (property) => !FILTERS[property]
   );
 
   if (invalidQueries.length) {
@@ -312,20 +768,202 @@ function validateReqQueries(req, res, next) {
       message: `Invalid queries: '${invalidQueries.join("', '")}'`,
     });
   }
+
+  for (let [field, value] of Object.entries(query)) {
+    const operations =
+      value && typeof value === "object" && !Array.isArray(value)
+        ? Object.entries(value)
+        : [[FILTERS[field].operators[0], value]];
+
+    for (let [operator, operand] of operations) {
+      const { filter, error } = _parseFilter(field, operator, operand);
+      if (error) return next(error);
+      res.locals.filters.push(filter);
+    }
+  }
+  return next();
+}
+
+/**
+ * Middleware validation for listing the reservations from one date to another
+ * Ensures the from and to queries are valid dates no more than MAX_DATE_RANGE_DAYS apart
+ * The reservations are grouped by day, so they cannot also be listed by page or sorted
+ * If there is no from or to query, this middleware is skipped
+ */
+function validateDateRange(req, res, next) {
+  const { from, to, date, page, limit, sort } = req.query;
+  if (from === undefined && to === undefined) return next();
+
+  for (let [name, value] of Object.entries({ from, to })) {
+    if (typeof value !== "string" || !_parseFilterValue("date", value))
+      return next({
+        status: 400,
+        message: `The ${name} query (${value}) must be a valid date in the format of YYYY-MM-DD`,
+      });
+  }
+
+  if (date !== undefined)
+    return next({
+      status: 400,
+      message: `The date query cannot be combined with the from and to queries.`,
+    });
+
+  if ([page, limit, sort].some((query) => query !== undefined))
+    return next({
+      status: 400,
+      message: `Reservations from one date to another are grouped by day, and cannot be listed by page or sorted.`,
+    });
+
+  const days = listDates(from, to);
+  if (!days.length)
+    return next({
+      status: 400,
+      message: `The from query (${from}) must be on or before the to query (${to}).`,
+    });
+  if (days.length > MAX_DATE_RANGE_DAYS)
+    return next({
+      status: 400,
+      message: `The from and to queries can be at most ${MAX_DATE_RANGE_DAYS} days apart.`,
+    });
+
+  res.locals.dateRange = { from, to, days };
+  return next();
+}
+
+/**
+ * Middleware validation for the availability search
+ * Ensures there is a valid date query and a people query that is a whole number of 1 or greater
+ */
+function validateAvailabilityQueries(req, res, next) {
+  const { date, people } = req.query;
+
+  if (
+    !date ||
+    !/^\d\d\d\d-\d\d-\d\d$/.test(date) ||
+    Number.isNaN(Date.parse(date))
+  )
+    return next({
+      status: 400,
+      message: `The date query (${date}) must be a valid date in the format of YYYY-MM-DD`,
+    });
+
+  if (!/^\d+$/.test(people) || Number(people) < 1)
+    return next({
+      status: 400,
+      message: `The people query (${people}) must be a whole number that is 1 or greater.`,
+    });
+
+  res.locals.availabilityQuery = { date, people: Number(people) };
   return next();
 }
 
 /**
- * List handler for reservation resources with two variants based on the provided queries
- * If any of the queries are a date query: list all reservation with exact matching reservation_date properties sorted by time
- * Otherwise list all the reservations that have matching data to the provided queries sorted by date
- * (If no queries are provided, searchByProperty will return all reservations sorted by id)
+ * @param reservations
+ *  the reservations being returned
+ * @returns
+ *  the reservations, each with a guest property holding their guest's tags and notes
+ *  Reservations that are not linked to a guest have a guest of null
+ */
+async function _withGuests(reservations) {
+  const guestIds = [
+    ...new Set(reservations.map(({ guest_id }) => guest_id).filter(Boolean)),
+  ];
+  const guests = guestIds.length
+    ? await guestsService.listWithNotes(guestIds)
+    : [];
+
+  return reservations.map((reservation) => ({
+    ...reservation,
+    guest:
+      guests.find(({ guest_id }) => guest_id === reservation.guest_id) || null,
+  }));
+}
+
+/**
+ * @param days
+ *  every YYYY-MM-DD date in the range
+ * @returns
+ *  the reservations grouped by their date, with the number of parties and covers on each day
+ *  days without any reservations are included with totals of 0
+ */
+function _groupByDay(days, reservations) {
+  return days.map((reservation_date) => {
+    const dayReservations = reservations.filter(
+      (reservation) =>
+        toDateString(reservation.reservation_date) === reservation_date
+    );
+    return {
+      reservation_date,
+      parties: dayReservations.length,
+      covers: dayReservations.reduce(
+        (covers, { people }) => covers + people,
+        0
+      ),
+      reservations: dayReservations,
+    };
+  });
+}
+
+/**
+ * List handler for reservation resources with three variants based on the provided queries
+ * If there are from and to queries: list the reservations matching the filters grouped by day, with the totals of each day
+ *   Cancelled reservations and no-shows are left out, so the totals are of the parties that are expected to come
+ * If any of the queries are a date query: list the reservations matching the filters with exact matching reservation_date properties sorted by time
+ *   Finished reservations and no-shows are left out, so only the parties that still need a table are listed
+ *   In both variants, a status filter replaces the statuses left out, e.g. status=no_show lists only the no-shows
+ * Otherwise list all the reservations that match the filters (see validateReqQueries) sorted by date, whatever their status
+ * (If no filters are provided, search will return all reservations sorted by id)
+ * Every variant can be narrowed down to the guests with a tag query, and to the guests with a name similar to the q query
+ * A name search without a date lists the best matches first, see service.search()
+ * Every reservation includes its guest's tags and notes
+ * Except for the date range, a page or limit query lists the reservations a page at a time, with links to the other pages in the headers
+ * Otherwise every matching reservation is listed, so the list for a date always has every party
+ * Either way, the total count is in the X-Total-Count header
  */
 async function list(req, res) {
-  const { date: reservation_date } = req.query;
-  const data = reservation_date
-    ? await service.searchByDate(reservation_date)
-    : await service.searchByProperty(req.query);
+  const { date: reservation_date, tag } = req.query;
+  const q = req.query.q && req.query.q.trim();
+  const { filters, page, fields, dateRange } = res.locals;
+
+  if (dateRange) {
+    const { from, to, days } = dateRange;
+    const reservations = await _withGuests(
+      await service.searchByDateRange(from, to, filters, tag, q)
+    );
+    const data = _groupByDay(days, reservations).map((day) => ({
+      ...day,
+      reservations: selectFields(day.reservations, fields),
+    }));
+    return res.json({ data });
+  }
+
+  const query = reservation_date
+    ? service.searchByDate(reservation_date, filters, tag, q)
+    : service.search(filters, tag, q);
+  const { data: reservations, total } = await service.listPage(query, page);
+
+  setPageHeaders(req, res, page, total);
+  const data = await _withGuests(reservations);
+  res.json({ data: selectFields(data, fields) });
+}
+
+/**
+ * Availability handler for finding every time a party can be booked on a date
+ * A time is bookable if the restaurant is taking reservations then, the tables can seat the party for its default duration
+ * alongside every booked or seated reservation that overlaps it, and the service's pacing rule allows it
+ */
+async function availability(req, res) {
+  const { date, people } = res.locals.availabilityQuery;
+  const slots = await _listAvailableSlots({
+    reservation_date: date,
+    duration: getDefaultDuration(people),
+    people,
+  });
+
+  const data = slots.map(({ reservation_time, window }) => ({
+    reservation_time,
+    service_name: window.service_name,
+  }));
   res.json({ data });
 }
 
@@ -334,15 +972,17 @@ async function list(req, res) {
  */
 async function create(req, res) {
   const { newReservation } = res.locals;
-  const data = await service.create(newReservation);
-  res.status(201).json({ data });
+  const data = await service.create(newReservation, getActor(req));
+  res.set("ETag", toETag(data)).status(201).json({ data });
 }
 
 /**
  * Read handler for reading a specified Reservation
  */
 async function read(req, res) {
-  res.json({ data: res.locals.reservation });
+  const { reservation } = res.locals;
+  const [data] = await _withGuests([reservation]);
+  res.set("ETag", toETag(reservation)).json({ data });
 }
 
 /**
@@ -350,8 +990,14 @@ async function read(req, res) {
  */
 async function update(req, res) {
   const { reservation, newReservation } = res.locals;
-  const data = await service.update(reservation.reservation_id, newReservation);
-  res.json({ data });
+  const data = await service.update(
+    reservation.reservation_id,
+    newReservation,
+    getActor(req),
+    null,
+    getIfMatch(req)
+  );
+  res.set("ETag", toETag(data)).json({ data });
 }
 
 /**
@@ -359,32 +1005,58 @@ async function update(req, res) {
  */
 async function updateStatus(req, res) {
   const { status, reservation } = res.locals;
-  const data = await service.updateStatus(reservation.reservation_id, status);
+  const data = await service.updateStatus(
+    reservation.reservation_id,
+    status,
+    getActor(req),
+    null,
+    getIfMatch(req)
+  );
+  res.set("ETag", toETag(data)).json({ data });
+}
+
+/**
+ * List handler for the history of a reservation
+ * Lists every status change and edit, oldest first
+ */
+async function listHistory(req, res) {
+  const data = await service.listHistory(res.locals.reservation.reservation_id);
   res.json({ data });
 }
 
 module.exports = {
-  list: [validateReqQueries, asyncErrorBoundary(list)],
+  list: [validateReqQueries, validateDateRange, asyncErrorBoundary(list)],
+  availability: [validateAvailabilityQueries, asyncErrorBoundary(availability)],
   create: [
     bodyHasAllRequiredFields,
     bodyHasNoInvalidFields,
     validateNewStatus,
-    validateDateTime,
+    asyncErrorBoundary(validateDateTime),
+    asyncErrorBoundary(validateTableInventory),
+    asyncErrorBoundary(validatePacing),
     asyncErrorBoundary(create),
   ],
-  read: [asyncErrorBoundary(reservationExists), read],
+  read: [asyncErrorBoundary(reservationExists), asyncErrorBoundary(read)],
   update: [
     asyncErrorBoundary(reservationExists),
+    reservationIsCurrent,
     bodyHasAllRequiredFields,
     bodyHasNoInvalidFields,
-    validateDateTime,
+    asyncErrorBoundary(validateDateTime),
     validateReservationUpdate,
     validateUpdateStatus,
+    asyncErrorBoundary(validateTableInventory),
+    asyncErrorBoundary(validatePacing),
     asyncErrorBoundary(update),
   ],
   updateStatus: [
     asyncErrorBoundary(reservationExists),
+    reservationIsCurrent,
     validateUpdateStatus,
     asyncErrorBoundary(updateStatus),
   ],
+  history: [
+    asyncErrorBoundary(reservationExists),
+    asyncErrorBoundary(listHistory),
+  ],
 };
@@ -6,12 +6,19 @@
 
 const router = require("express").Router();
 const controller = require("./reservations.controller");
+const tablesController = require("../tables/tables.controller");
 const methodNotAllowed = require("../errors/methodNotAllowed");
+const idempotent = require("../idempotency/idempotent");
 
 router
   .route("/")
   .get(controller.list)
-  .post(controller.create)
+  .post(idempotent, controller.create)
+  .all(methodNotAllowed);
+
+router
+  .route("/availability")
+  .get(controller.availability)
   .all(methodNotAllowed);
 
 router
@@ -22,4 +29,25 @@ router
 
 router.route("/:reservation_id/status").put(controller.updateStatus);
 
+router
+  .route("/:reservation_id/history")
+  .get(controller.history)
+  .all(methodNotAllowed);
+
+router
+  .route("/:reservation_id/table-suggestions")
+  .get(tablesController.suggestions)
+  .all(methodNotAllowed);
+
+router
+  .route("/:reservation_id/hold")
+  .put(tablesController.holdTables)
+  .delete(tablesController.releaseTables)
+  .all(methodNotAllowed);
+
+router
+  .route("/:reservation_id/seat")
+  .put(idempotent, tablesController.autoSeat)
+  .all(methodNotAllowed);
+
 module.exports = router;
@@ -1,56 +1,254 @@
 const db = require("../db/connection");
+const inTransaction = require("../db/transaction");
+const paginate = require("../db/paginate");
+const guestsService = require("../guests/guests.service");
+const { toDateString } = require("../utils/time");
+const { isStale, staleError } = require("../utils/etag");
 const tableName = "reservations";
+const historyTableName = "reservation_history";
+
+// Fields that are never recorded in a reservation's history
+const UNAUDITED_FIELDS = [
+  "reservation_id",
+  "guest_id",
+  "created_at",
+  "updated_at",
+];
+
+// Statuses left out of the reservations of a date without a status filter, since those parties no longer need a table
+const NOT_WAITING_STATUSES = ["finished", "no_show"];
+
+// Statuses left out of a date range without a status filter, since those parties are not coming
+const NOT_EXPECTED_STATUSES = ["cancelled", "no_show"];
+
+// Whether the first, last or full name of a reservation is similar to a name search
+// The % operator can use the trigram indexes of the names, its threshold is set in db/connection
+const NAME_MATCHES = `(
+  first_name % :q
+  OR last_name % :q
+  OR (first_name || ' ' || last_name) % :q
+)`;
+
+// The trigram similarity of the best matching name of a reservation, its first, last or full name
+const NAME_SIMILARITY = `greatest(
+  similarity(first_name, :q),
+  similarity(last_name, :q),
+  similarity(first_name || ' ' || last_name, :q)
+)`;
+
+// How much of its similarity a reservation loses in the ranking of a name search the further it is from today
+// up to a year away, where a perfect match ranks the same as a match that is half as similar today
+const DATE_PROXIMITY_WEIGHT = 0.5;
+const NAME_SEARCH_SCORE = `${NAME_SIMILARITY} * (
+  1 - ${DATE_PROXIMITY_WEIGHT} * least(abs(reservation_date - current_date), 365) / 365.0
+)`;
+
+/**
+ * @param value
+ *  a value of a reservation field, as returned from the database
+ * @returns
+ *  the value as text, so every field can be stored in the same history columns
+ */
+function _toHistoryValue(value) {
+  if (value === null || value === undefined) return null;
+  if (value instanceof Date) return toDateString(value);
+  if (Array.isArray(value)) return JSON.stringify(value);
+  return String(value);
+}
+
+/**
+ * Records every field that changed between two versions of a reservation in its history
+ * A new reservation (with no previous version) records its starting status
+ */
+function _recordChanges(trx, before, after, actor) {
+  const changes = before
+    ? Object.keys(after)
+        .filter((field) => !UNAUDITED_FIELDS.includes(field))
+        .map((field) => ({
+          field,
+          old_value: _toHistoryValue(before[field]),
+          new_value: _toHistoryValue(after[field]),
+        }))
+        .filter(({ old_value, new_value }) => old_value !== new_value)
+    : [{ field: "status", old_value: null, new_value: after.status }];
+
+  if (!changes.length) return Promise.resolve();
+  return trx(historyTableName).insert(
+    changes.map((change) => ({
+      ...change,
+      reservation_id: after.reservation_id,
+      actor,
+    }))
+  );
+}
+/**
+ * Narrows a reservations query down to the reservations of guests with the tag
+ * The query is left as is when there is no tag
+ */
+function _whereGuestIsTagged(query, tag) {
+  if (!tag) return query;
+  return query.whereIn(
+    "guest_id",
+    db("guests")
+      .select("guest_id")
+      .whereRaw("? = ANY(tags)", [tag.trim().toLowerCase()])
+  );
+}
+
+/**
+ * Narrows a reservations query down to the reservations of guests with a name similar to the search
+ * The query is left as is when there is no search
+ */
+function _whereNameMatches(query, q) {
+  if (!q) return query;
+  return query.whereRaw(NAME_MATCHES, { q });
+}
+
 /**
  * List query fetches all of the table reservations in the table
+ * Can be narrowed down to the reservations of guests with a tag
  * Sorted by their IDs in ascending order
  */
-function list() {
-  return db(tableName).select("*").orderBy("reservation_id", "ASC");
+function list(tag) {
+  return _whereGuestIsTagged(
+    db(tableName).select("*").orderBy("reservation_id", "ASC"),
+    tag
+  );
+}
+
+/**
+ * @returns
+ *  true if one of the filters is on the status, which then replaces the statuses a list leaves out by default
+ */
+function _hasStatusFilter(filters) {
+  return filters.some(({ field }) => field === "status");
 }
 
 /**
  * Search query fetches all of the table data where reservation_date equals the passed in param
+ * Without a status filter, finished reservations and no-shows are left out, since they no longer need a table
+ * Can be narrowed down to the reservations that match every filter (see search()),
+ * to the reservations of guests with a tag, or with a name similar to q
  * Sorted by the time of the reservation in ascending order
  */
-function searchByDate(reservation_date) {
-  return db(tableName)
+function searchByDate(reservation_date, filters = [], tag, q) {
+  const query = db(tableName)
     .select("*")
     .where({ reservation_date })
-    .whereNot({ status: "finished" })
     .orderBy("reservation_time", "ASC");
+  for (let filter of filters) _whereMatches(query, filter);
+
+  if (!_hasStatusFilter(filters))
+    query.whereNotIn("status", NOT_WAITING_STATUSES);
+
+  return _whereNameMatches(_whereGuestIsTagged(query, tag), q);
 }
 
 /**
- * Dynamic search query fetches all of the table data filtered by the queriesObject and sorted by date
- * queriesObject is an object who's keys are the request query variable names, and values are the actual value of the variable
- * Can handle multiple simultaneous queries
- * searchByDate is distinct: it uses 'date' query sorts by time, and requires the date to be an exact match
+ * @returns
+ *  the value with the characters that are special in a like pattern escaped, so it is matched as it is
  */
-function searchByProperty(queriesObject) {
-  const entries = Object.entries(queriesObject);
-  if (!entries.find(([, value]) => !!value)) return list();
+function _escapeLike(value) {
+  return value.replace(/[\\%_]/g, "\\$&");
+}
 
-  let whereQuery = "";
-  for (let i = 0; i < entries.length; i++) {
-    const [name, value] = entries[i];
-    whereQuery += `${name}::text ilike '%${value}%'`;
-    if (i !== entries.length - 1) whereQuery += " AND ";
+/**
+ * Narrows a reservations query down to the reservations that match a filter
+ * The field, operator and value have already been validated, see validateReqQueries in the controller
+ * Every value is passed to the database as a binding, never as part of the SQL
+ */
+function _whereMatches(query, { field, type, operator, value }) {
+  switch (operator) {
+    case "in":
+      return query.whereIn(field, value);
+    case "gte":
+    case "from":
+      return query.where(field, ">=", value);
+    case "lte":
+    case "to":
+      return query.where(field, "<=", value);
+    case "contains":
+      if (type === "attributes")
+        return query.whereRaw("?? @> ?::text[]", [field, value]);
+      // Phone numbers are matched on their digits only, so '(808) 555-0140' finds '+18085550140'
+      if (type === "phone")
+        return query.whereRaw("regexp_replace(??, '\\D', '', 'g') like ?", [
+          field,
+          `%${value}%`,
+        ]);
+      return query.where(field, "ilike", `%${_escapeLike(value)}%`);
+    default:
+      return type === "text"
+        ? query.where(field, "ilike", _escapeLike(value))
+        : query.where(field, value);
   }
+}
+
+/**
+ * Search query fetches all of the table data that matches every filter, sorted by date
+ * Each filter is an object of { field, type, operator, value }, built from the request's queries
+ * With a name search (q), only guests with a similar name match, and they are sorted by how similar the name is
+ * and how close the reservation is to today together, see NAME_SEARCH_SCORE
+ * searchByDate is distinct: it uses 'date' query sorts by time, and requires the date to be an exact match
+ * Without any filters, every reservation is listed, see list()
+ */
+function search(filters, tag, q) {
+  if (!filters.length && !q) return list(tag);
+
+  const query = db(tableName).select("*");
+  for (let filter of filters) _whereMatches(query, filter);
 
-  return db(tableName)
+  if (q)
+    _whereNameMatches(query, q).orderByRaw(`${NAME_SEARCH_SCORE} DESC`, {
+      q,
+    });
+  else query.orderBy("reservation_date", "DESC");
+
+  return _whereGuestIsTagged(query, tag);
+}
+/**
+ * Search query fetches all of the reservations from one date to another (YYYY-MM-DD, both included) that match every filter
+ * Without a status filter, cancelled reservations and no-shows are left out, so only the parties that are expected are listed
+ * Can be narrowed down to the reservations of guests with a tag, or with a name similar to q
+ * Sorted by date and then time in ascending order
+ */
+function searchByDateRange(from, to, filters, tag, q) {
+  const query = db(tableName)
     .select("*")
-    .where(db.raw(whereQuery))
-    .orderBy("reservation_date", "DESC");
+    .whereBetween("reservation_date", [from, to])
+    .orderBy(["reservation_date", "reservation_time", "reservation_id"]);
+  for (let filter of filters) _whereMatches(query, filter);
+
+  if (!_hasStatusFilter(filters))
+    query.whereNotIn("status", NOT_EXPECTED_STATUSES);
+
+  return _whereNameMatches(_whereGuestIsTagged(query, tag), q);
 }
+
+/**
+ * Fetches one page of a reservations query, such as list() or search()
+ * and returns { data, total }
+ */
+function listPage(query, page) {
+  return paginate(query, page, "reservation_id");
+}
+
 /**
  * Create inserts a new Reservation into the table data
  * and returns the inserted object
+ * The reservation is linked to the guest with its phone number, who is created if they are new
+ * The actor is the person making the reservation, which is recorded in its history
+ * Can be made part of another transaction by passing it in as trx
  */
-function create(reservation) {
-  return db(tableName)
-    .insert(reservation)
-    .returning("*")
-    .then((rows) => rows[0]);
+function create(reservation, actor = null, trx) {
+  return inTransaction(trx, async (trx) => {
+    const guest = await guestsService.findOrCreate(reservation, trx);
+    const [created] = await trx(tableName)
+      .insert({ ...reservation, guest_id: guest.guest_id })
+      .returning("*");
+    await _recordChanges(trx, null, created, actor);
+    return created;
+  });
 }
 
 /**
@@ -63,32 +261,105 @@ function read(reservation_id) {
 
 /**
  * Updates entire reservation for the selected reservation
+ * When the phone number is part of the update, the reservation is linked to the guest with that number
+ * Every field that changed is recorded in the reservation's history along with the actor making the change
+ * Can be made part of another transaction by passing it in as trx
+ * The reservation row is locked first, and if ifMatch (the ETags of the request's If-Match header, see getIfMatch())
+ * no longer matches it, someone else changed it in the meantime, so nothing is changed and a 412 is thrown
  * and returns the entire updated object
  */
-function update(reservation_id, reservation) {
-  return db(tableName)
-    .where({ reservation_id })
-    .update(reservation, "*")
-    .then((rows) => rows[0]);
+function update(
+  reservation_id,
+  reservation,
+  actor = null,
+  trx,
+  ifMatch = null
+) {
+  return inTransaction(trx, async (trx) => {
+    const before = await trx(tableName)
+      .where({ reservation_id })
+      .forUpdate()
+      .first();
+    if (isStale(ifMatch, before))
+      throw staleError(`Reservation #${reservation_id}`, "reservation");
+
+    const changes = { ...reservation };
+    if (changes.mobile_number)
+      changes.guest_id = (
+        await guestsService.findOrCreate({ ...before, ...changes }, trx)
+      ).guest_id;
+
+    const [after] = await trx(tableName)
+      .where({ reservation_id })
+      .update(changes, "*");
+    await _recordChanges(trx, before, after, actor);
+    return after;
+  });
 }
 
 /**
  * Updates status property of selected reservation
+ * The change is recorded in the reservation's history along with the actor making it
+ * Can be made part of another transaction by passing it in as trx, and checked against an If-Match header, see update()
  * and returns the entire updated object
  */
-function updateStatus(reservation_id, status) {
-  return db(tableName)
+function updateStatus(reservation_id, status, actor = null, trx, ifMatch) {
+  return update(
+    reservation_id,
+    { status, updated_at: new Date() },
+    actor,
+    trx,
+    ifMatch
+  );
+}
+
+/**
+ * Lists every recorded change of a reservation
+ * Sorted from the oldest change to the newest
+ */
+function listHistory(reservation_id) {
+  return db(historyTableName)
+    .select("*")
     .where({ reservation_id })
-    .update({ status }, "*")
-    .then((rows) => rows[0]);
+    .orderBy(["changed_at", "history_id"]);
+}
+
+/**
+ * Marks every booked reservation whose date and time is before the cutoff as a no-show
+ * The cutoff is a local date-time string in the format of 'YYYY-MM-DD HH:MM'
+ * Each change is recorded in the reservation's history with the actor 'system'
+ * and returns every updated reservation
+ */
+function markNoShows(cutoff) {
+  return db.transaction(async (trx) => {
+    const marked = await trx(tableName)
+      .where({ status: "booked" })
+      .andWhere(trx.raw("reservation_date + reservation_time < ?", [cutoff]))
+      .update({ status: "no_show", updated_at: new Date() }, "*");
+    if (marked.length)
+      await trx(historyTableName).insert(
+        marked.map(({ reservation_id }) => ({
+          reservation_id,
+          field: "status",
+          old_value: "booked",
+          new_value: "no_show",
+          actor: "system",
+        }))
+      );
+    return marked;
+  });
 }
 
 module.exports = {
   list,
   searchByDate,
-  searchByProperty,
+  search,
+  searchByDateRange,
+  listPage,
   create,
   read,
   update,
   updateStatus,
+  listHistory,
+  markNoShows,
 };
@@ -0,0 +1,38 @@
+/**
+ * Scheduled sweep that marks booked reservations as no-shows
+ * A reservation becomes a no-show once its party is NO_SHOW_GRACE_MINUTES late (15 by default)
+ * The sweep runs every NO_SHOW_SWEEP_MINUTES (5 by default)
+ */
+const service = require("./reservations.service");
+const { toDateString, toTime } = require("../utils/time");
+
+const { NO_SHOW_GRACE_MINUTES = 15, NO_SHOW_SWEEP_MINUTES = 5 } = process.env;
+
+/**
+ * @param now
+ *  the current date and time
+ * @param graceMinutes
+ *  how many minutes late a party can be before it is a no-show
+ * @returns
+ *  every reservation that was marked as a no-show
+ */
+function markNoShows(now = new Date(), graceMinutes = NO_SHOW_GRACE_MINUTES) {
+  const cutoff = new Date(now.getTime() - Number(graceMinutes) * 60 * 1000);
+  return service.markNoShows(
+    `${toDateString(cutoff)} ${toTime(
+      cutoff.getHours() * 60 + cutoff.getMinutes()
+    )}`
+  );
+}
+
+/**
+ * Starts running the sweep on an interval
+ * and returns the interval, so the sweep can be stopped with clearInterval()
+ */
+function startNoShowSweep() {
+  return setInterval(() => {
+    markNoShows().catch((error) => console.error(error));
+  }, Number(NO_SHOW_SWEEP_MINUTES) * 60 * 1000);
+}
+
+module.exports = { markNoShows, startNoShowSweep };
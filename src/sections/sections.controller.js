@@ -0,0 +1,346 @@
+const asyncErrorBoundary = require("../errors/asyncErrorBoundary");
+const service = require("./sections.service");
+const tablesService = require("../tables/tables.service");
+const { toDateString } = require("../utils/time");
+
+const VALID_PROPERTIES = [
+  "section_name",
+  "floor",
+  "section_id",
+  "created_at",
+  "updated_at",
+];
+
+const ASSIGNMENT_PROPERTIES = ["server_name", "shift_date", "service_name"];
+
+/**
+ * Middleware validation for request bodies
+ * Ensures the request body has a section_name before proceeding
+ * The floor is optional, and groups sections that share a floor (e.g. 'Ground', 'Rooftop')
+ */
+function bodyHasAllRequiredFields(req, res, next) {
+  const { data = {} } = req.body;
+
+  if (!data.section_name)
+    return next({
+      status: 400,
+      message: `The data in the request body requires a section_name field.`,
+    });
+
+  if (data.floor != null && typeof data.floor !== "string")
+    return next({
+      status: 400,
+      message: `The floor property (${data.floor}) must be text.`,
+    });
+
+  res.locals.newSection = data;
+  return next();
+}
+
+/**
+ * Middleware validation for request bodies
+ * Ensures the request body only has properties that are allowed before proceeding
+ */
+function bodyHasNoInvalidFields(req, res, next) {
+  const { newSection } = res.locals;
+  const invalidFields = Object.keys(newSection).filter(
+    (field) => !VALID_PROPERTIES.includes(field)
+  );
+
+  if (invalidFields.length) {
+    return next({
+      status: 400,
+      message: `Invalid field(s): ${invalidFields.join(", ")}`,
+    });
+  }
+  return next();
+}
+
+/**
+ * Middleware validation for request parameters
+ * Ensures that the section_id param corresponds to a valid section
+ */
+async function sectionExists(req, res, next) {
+  const { section_id } = req.params;
+  const section = await service.read(section_id);
+
+  if (!section)
+    return next({
+      status: 404,
+      message: `Section ${section_id} cannot be found.`,
+    });
+
+  res.locals.section = section;
+  return next();
+}
+
+/**
+ * Middleware validation for request bodies
+ * Ensures every section has its own name
+ * When updating, the section being replaced is ignored
+ */
+async function isNameAvailable(req, res, next) {
+  const { newSection, section = {} } = res.locals;
+  const existing = await service.readByName(newSection.section_name);
+
+  if (existing && existing.section_id !== section.section_id)
+    return next({
+      status: 400,
+      message: `There is already a section named '${newSection.section_name}' (#${existing.section_id}).`,
+    });
+  return next();
+}
+
+/**
+ * Validation middleware for update sections
+ * Ensures that uneditable properties are not being changed
+ * And forces update_at to become the new date
+ */
+function validateSectionUpdate(req, res, next) {
+  const { section, newSection } = res.locals;
+  const { section_id: newId = section.section_id } = newSection;
+
+  if (section.section_id !== newId)
+    return next({
+      status: 400,
+      message: `You are attempting to change this section's id from ${section.section_id} to ${newId}. You cannot change an id.`,
+    });
+
+  // A floor left out of a full update is cleared
+  if (newSection.floor === undefined) newSection.floor = null;
+
+  delete newSection.created_at;
+  newSection.updated_at = new Date();
+  return next();
+}
+
+/**
+ * Middleware validation for the date query of the section routes
+ * Server assignments are listed for a single shift date, which defaults to today
+ */
+function validateDateQuery(req, res, next) {
+  const { date = toDateString(new Date()) } = req.query;
+
+  if (!/^\d\d\d\d-\d\d-\d\d$/.test(date) || Number.isNaN(Date.parse(date)))
+    return next({
+      status: 400,
+      message: `The date query (${date}) must be a valid date in the format of YYYY-MM-DD`,
+    });
+
+  res.locals.date = date;
+  return next();
+}
+
+/**
+ * Middleware validation for request bodies when assigning a server to a section
+ * Ensures the request body has a server_name, a valid shift_date and the service_name of the shift
+ * Only one server can be assigned to a section for each shift
+ */
+async function hasValidAssignment(req, res, next) {
+  const { data = {} } = req.body;
+  const { section } = res.locals;
+
+  for (let property of ASSIGNMENT_PROPERTIES) {
+    if (!data[property])
+      return next({
+        status: 400,
+        message: `The data in the request body requires a ${property} field.`,
+      });
+  }
+
+  const invalidFields = Object.keys(data).filter(
+    (field) => !ASSIGNMENT_PROPERTIES.includes(field)
+  );
+  if (invalidFields.length)
+    return next({
+      status: 400,
+      message: `Invalid field(s): ${invalidFields.join(", ")}`,
+    });
+
+  const { server_name, shift_date, service_name } = data;
+  if (
+    !/^\d\d\d\d-\d\d-\d\d$/.test(shift_date) ||
+    Number.isNaN(Date.parse(shift_date))
+  )
+    return next({
+      status: 400,
+      message: `The shift_date property (${shift_date}) must be a valid date in the format of YYYY-MM-DD`,
+    });
+
+  const existing = await service.readAssignmentByShift(
+    section.section_id,
+    shift_date,
+    service_name
+  );
+  if (existing)
+    return next({
+      status: 400,
+      message: `${existing.server_name} is already assigned to '${section.section_name}' for the ${service_name} shift on ${shift_date}. Remove that assignment (#${existing.assignment_id}) first.`,
+    });
+
+  res.locals.assignment = {
+    section_id: section.section_id,
+    server_name,
+    shift_date,
+    service_name,
+  };
+  return next();
+}
+
+/**
+ * Middleware validation for request parameters
+ * Ensures that the assignment_id param corresponds to a server assignment of the section
+ */
+async function assignmentExists(req, res, next) {
+  const { assignment_id } = req.params;
+  const assignment = await service.readAssignment(
+    res.locals.section.section_id,
+    assignment_id
+  );
+
+  if (!assignment)
+    return next({
+      status: 404,
+      message: `Server assignment ${assignment_id} cannot be found in section ${res.locals.section.section_id}.`,
+    });
+
+  res.locals.assignment = assignment;
+  return next();
+}
+
+/**
+ * @param assignments
+ *  the server assignments on a shift date
+ * @param section_id
+ *  the section to find the servers of
+ * @returns
+ *  the server assignments of the section
+ */
+function _serversOf(assignments, section_id) {
+  return assignments.filter(
+    (assignment) => assignment.section_id === section_id
+  );
+}
+
+/**
+ * List handler for section resources
+ * Each section lists the servers assigned to it on the date query (today by default)
+ */
+async function list(req, res) {
+  const { date } = res.locals;
+  const sections = await service.list();
+  const assignments = await service.listAssignments(date);
+  const data = sections.map((section) => ({
+    ...section,
+    servers: _serversOf(assignments, section.section_id),
+  }));
+  res.json({ data });
+}
+
+/**
+ * Create handler for new sections
+ */
+async function create(req, res) {
+  const { newSection } = res.locals;
+  const data = await service.create(newSection);
+  res.status(201).json({ data });
+}
+
+/**
+ * Read handler for reading a specified section
+ * Along with its tables, and the servers assigned to it on the date query (today by default)
+ */
+async function read(req, res) {
+  const { section, date } = res.locals;
+  const tables = await tablesService.list({ section_id: section.section_id });
+  const assignments = await service.listAssignments(date);
+  res.json({
+    data: {
+      ...section,
+      tables,
+      servers: _serversOf(assignments, section.section_id),
+    },
+  });
+}
+
+/**
+ * Update handler for editing an entire section
+ */
+async function update(req, res) {
+  const { section, newSection } = res.locals;
+  const data = await service.update(section.section_id, newSection);
+  res.json({ data });
+}
+
+/**
+ * Delete handler for removing a section
+ * Its tables are kept, and no longer belong to a section
+ */
+async function destroy(req, res) {
+  await service.destroy(res.locals.section.section_id);
+  res.sendStatus(204);
+}
+
+/**
+ * List handler for the servers assigned to a section on the date query (today by default)
+ */
+async function listServers(req, res) {
+  const { section, date } = res.locals;
+  const assignments = await service.listAssignments(date);
+  res.json({ data: _serversOf(assignments, section.section_id) });
+}
+
+/**
+ * Create handler for assigning a server to a section for a shift
+ */
+async function assignServer(req, res) {
+  const data = await service.createAssignment(res.locals.assignment);
+  res.status(201).json({ data });
+}
+
+/**
+ * Delete handler for removing a server from a section's shift
+ */
+async function unassignServer(req, res) {
+  await service.destroyAssignment(res.locals.assignment.assignment_id);
+  res.sendStatus(204);
+}
+
+module.exports = {
+  list: [validateDateQuery, asyncErrorBoundary(list)],
+  create: [
+    bodyHasAllRequiredFields,
+    bodyHasNoInvalidFields,
+    asyncErrorBoundary(isNameAvailable),
+    asyncErrorBoundary(create),
+  ],
+  read: [
+    asyncErrorBoundary(sectionExists),
+    validateDateQuery,
+    asyncErrorBoundary(read),
+  ],
+  update: [
+    asyncErrorBoundary(sectionExists),
+    bodyHasAllRequiredFields,
+    bodyHasNoInvalidFields,
+    validateSectionUpdate,
+    asyncErrorBoundary(isNameAvailable),
+    asyncErrorBoundary(update),
+  ],
+  delete: [asyncErrorBoundary(sectionExists), asyncErrorBoundary(destroy)],
+  listServers: [
+    asyncErrorBoundary(sectionExists),
+    validateDateQuery,
+    asyncErrorBoundary(listServers),
+  ],
+  assignServer: [
+    asyncErrorBoundary(sectionExists),
+    asyncErrorBoundary(hasValidAssignment),
+    asyncErrorBoundary(assignServer),
+  ],
+  unassignServer: [
+    asyncErrorBoundary(sectionExists),
+    asyncErrorBoundary(assignmentExists),
+    asyncErrorBoundary(unassignServer),
+  ],
+};
@@ -0,0 +1,35 @@
+/**
+ * Defines the router for dining section resources.
+ *
+ * @type {Router}
+ */
+
+const router = require("express").Router();
+const controller = require("./sections.controller");
+const methodNotAllowed = require("../errors/methodNotAllowed");
+
+router
+  .route("/")
+  .get(controller.list)
+  .post(controller.create)
+  .all(methodNotAllowed);
+
+router
+  .route("/:section_id")
+  .get(controller.read)
+  .put(controller.update)
+  .delete(controller.delete)
+  .all(methodNotAllowed);
+
+router
+  .route("/:section_id/servers")
+  .get(controller.listServers)
+  .post(controller.assignServer)
+  .all(methodNotAllowed);
+
+router
+  .route("/:section_id/servers/:assignment_id")
+  .delete(controller.unassignServer)
+  .all(methodNotAllowed);
+
+module.exports = router;
@@ -0,0 +1,114 @@
+const db = require("../db/connection");
+const tableName = "sections";
+const assignmentsTableName = "server_assignments";
+
+/**
+ * List query fetches all of the sections sorted by floor, then section_name
+ */
+function list() {
+  return db(tableName).select("*").orderBy(["floor", "section_name"]);
+}
+
+/**
+ * Create inserts a new section into the table data
+ * and returns the inserted object
+ */
+function create(section) {
+  return db(tableName)
+    .insert(section)
+    .returning("*")
+    .then((rows) => rows[0]);
+}
+
+/**
+ * Returns a selected section from the database
+ * Can be used to validate section_id in the controller
+ */
+function read(section_id) {
+  return db(tableName).where({ section_id }).first();
+}
+
+/**
+ * Returns the section with a given name, if there is one
+ */
+function readByName(section_name) {
+  return db(tableName).where({ section_name }).first();
+}
+
+/**
+ * Updates the entire selected section
+ * and returns the entire updated object
+ */
+function update(section_id, section) {
+  return db(tableName)
+    .where({ section_id })
+    .update(section, "*")
+    .then((rows) => rows[0]);
+}
+
+/**
+ * Deletes the selected section
+ * Its tables are kept, but no longer belong to a section
+ */
+function destroy(section_id) {
+  return db(tableName).where({ section_id }).del();
+}
+
+/**
+ * Lists the server assignments for every section on a shift date (YYYY-MM-DD)
+ * Sorted by service_name, then server_name
+ */
+function listAssignments(shift_date) {
+  return db(assignmentsTableName)
+    .select("*")
+    .where({ shift_date })
+    .orderBy(["service_name", "server_name"]);
+}
+
+/**
+ * Creates a new server assignment for a section
+ * and returns the inserted object
+ */
+function createAssignment(assignment) {
+  return db(assignmentsTableName)
+    .insert(assignment)
+    .returning("*")
+    .then((rows) => rows[0]);
+}
+
+/**
+ * Returns a selected server assignment of a section from the database
+ */
+function readAssignment(section_id, assignment_id) {
+  return db(assignmentsTableName).where({ section_id, assignment_id }).first();
+}
+
+/**
+ * Returns the server assignment of a section for a shift, if there is one
+ */
+function readAssignmentByShift(section_id, shift_date, service_name) {
+  return db(assignmentsTableName)
+    .where({ section_id, shift_date, service_name })
+    .first();
+}
+
+/**
+ * Deletes the selected server assignment
+ */
+function destroyAssignment(assignment_id) {
+  return db(assignmentsTableName).where({ assignment_id }).del();
+}
+
+module.exports = {
+  list,
+  create,
+  read,
+  readByName,
+  update,
+  destroy,
+  listAssignments,
+  createAssignment,
+  readAssignment,
+  readAssignmentByShift,
+  destroyAssignment,
+};
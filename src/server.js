@@ -2,12 +2,14 @@ const { PORT = 5000 } = process.env;
 
 const app = require("./app");
 const knex = require("./db/connection");
+const { startNoShowSweep } = require("./reservations/reservations.sweep");
 
 knex.migrate
   .latest()
   .then((migrations) => {
     console.log("migrations", migrations);
     app.listen(PORT, listener);
+    startNoShowSweep();
   })
   .catch((error) => {
     console.error(error);
@@ -0,0 +1,276 @@
+const asyncErrorBoundary = require("../errors/asyncErrorBoundary");
+const service = require("./special-dates.service");
+const reservationService = require("../reservations/reservations.service");
+const { isValidTime, toMinutes, toDateString } = require("../utils/time");
+const { findServiceWindow, getWindowsForDate } = require("../utils/schedule");
+
+const VALID_PROPERTIES = [
+  "special_date",
+  "description",
+  "closed",
+  "open_time",
+  "close_time",
+  "last_seating_offset",
+  "special_date_id",
+  "created_at",
+  "updated_at",
+];
+
+/**
+ * Middleware validation for request bodies
+ * Ensures the request body has a valid special_date before proceeding
+ * A special date is either a blackout (closed, the default) or a day with special hours
+ * Special hours days require a valid open_time and close_time, blackouts must not have any
+ */
+function bodyHasAllRequiredFields(req, res, next) {
+  const { data = {} } = req.body;
+  const { special_date, closed = true } = data;
+
+  if (!special_date)
+    return next({
+      status: 400,
+      message: `The data in the request body requires a special_date field.`,
+    });
+
+  if (
+    !/^\d\d\d\d-\d\d-\d\d$/.test(special_date) ||
+    Number.isNaN(Date.parse(special_date))
+  )
+    return next({
+      status: 400,
+      message: `The special_date property (${special_date}) must be a valid date in the format of YYYY-MM-DD`,
+    });
+
+  if (typeof closed !== "boolean")
+    return next({
+      status: 400,
+      message: `The closed property (${closed}) must be either true or false.`,
+    });
+
+  if (closed) {
+    if (data.open_time || data.close_time)
+      return next({
+        status: 400,
+        message: `A closed special date cannot have an open_time or close_time. Set closed to false to give ${special_date} special hours instead.`,
+      });
+  } else {
+    for (let property of ["open_time", "close_time"]) {
+      if (!isValidTime(data[property]))
+        return next({
+          status: 400,
+          message: `The ${property} property (${data[property]}) must be a valid time in the format of HH:MM when the restaurant is open on a special date.`,
+        });
+    }
+
+    if (toMinutes(data.open_time) >= toMinutes(data.close_time))
+      return next({
+        status: 400,
+        message: `The open_time (${data.open_time}) must be before the close_time (${data.close_time}).`,
+      });
+
+    const { last_seating_offset = 0 } = data;
+    if (
+      !Number.isInteger(last_seating_offset) ||
+      last_seating_offset < 0 ||
+      last_seating_offset >=
+        toMinutes(data.close_time) - toMinutes(data.open_time)
+    )
+      return next({
+        status: 400,
+        message: `The last_seating_offset property (${last_seating_offset}) must be a whole number of minutes that is 0 or greater, and shorter than the special hours themselves.`,
+      });
+  }
+
+  res.locals.newSpecialDate = { ...data, closed };
+  return next();
+}
+
+/**
+ * Middleware validation for request bodies
+ * Ensures the request body only has properties that are allowed before proceeding
+ */
+function bodyHasNoInvalidFields(req, res, next) {
+  const { newSpecialDate } = res.locals;
+  const invalidFields = Object.keys(newSpecialDate).filter(
+    (field) => !VALID_PROPERTIES.includes(field)
+  );
+
+  if (invalidFields.length) {
+    return next({
+      status: 400,
+      message: `Invalid field(s): ${invalidFields.join(", ")}`,
+    });
+  }
+  return next();
+}
+
+/**
+ * Middleware validation for request parameters
+ * Ensures that the special_date_id param corresponds to a valid special date
+ */
+async function specialDateExists(req, res, next) {
+  const { special_date_id } = req.params;
+  const specialDate = await service.read(special_date_id);
+
+  if (!specialDate)
+    return next({
+      status: 404,
+      message: `Special date ${special_date_id} cannot be found.`,
+    });
+
+  res.locals.specialDate = specialDate;
+  return next();
+}
+
+/**
+ * Middleware validation for request bodies
+ * Ensures there is only ever one special date for each calendar date
+ * When updating, the special date being replaced is ignored
+ */
+async function isDateAvailable(req, res, next) {
+  const { newSpecialDate, specialDate = {} } = res.locals;
+  const existing = await service.readByDate(newSpecialDate.special_date);
+
+  if (existing && existing.special_date_id !== specialDate.special_date_id)
+    return next({
+      status: 400,
+      message: `${newSpecialDate.special_date} is already special date #${existing.special_date_id}. Update that special date instead.`,
+    });
+  return next();
+}
+
+/**
+ * Validation middleware for update special dates
+ * Ensures that uneditable properties are not being changed
+ * And forces update_at to become the new date
+ */
+function validateSpecialDateUpdate(req, res, next) {
+  const { specialDate, newSpecialDate } = res.locals;
+  const { special_date_id: newId = specialDate.special_date_id } =
+    newSpecialDate;
+
+  if (specialDate.special_date_id !== newId)
+    return next({
+      status: 400,
+      message: `You are attempting to change this special date's id from ${specialDate.special_date_id} to ${newId}. You cannot change an id.`,
+    });
+
+  // Blackouts do not keep the hours of a previous special hours day
+  if (newSpecialDate.closed) {
+    newSpecialDate.open_time = null;
+    newSpecialDate.close_time = null;
+  }
+
+  delete newSpecialDate.created_at;
+  newSpecialDate.updated_at = new Date();
+  return next();
+}
+
+/**
+ * @param specialDate
+ *  a special date as stored in the database
+ * @returns
+ *  the special date along with every booked reservation on that date that falls outside of its hours
+ *  These reservations were booked before the special date existed, and need to be moved or cancelled
+ */
+async function _withConflictingReservations(specialDate) {
+  const date = toDateString(specialDate.special_date);
+  const windows = getWindowsForDate([], new Date(`${date}T00:00`), specialDate);
+  const reservations = await reservationService.searchByDate(date);
+
+  const conflicting_reservations = reservations.filter(
+    ({ status, reservation_time }) =>
+      status === "booked" && !findServiceWindow(windows, reservation_time)
+  );
+  return { ...specialDate, conflicting_reservations };
+}
+
+/**
+ * Middleware validation for the queries of the list route
+ * Ensures the from query, if there is one, is a valid date
+ */
+function validateListQueries(req, res, next) {
+  const { from } = req.query;
+
+  if (
+    from !== undefined &&
+    (typeof from !== "string" ||
+      !/^\d\d\d\d-\d\d-\d\d$/.test(from) ||
+      Number.isNaN(Date.parse(from)))
+  )
+    return next({
+      status: 400,
+      message: `The from query (${from}) must be a valid date in the format of YYYY-MM-DD`,
+    });
+  return next();
+}
+
+/**
+ * List handler for special date resources
+ * Past special dates are hidden unless a from query is given
+ */
+async function list(req, res) {
+  const { from = toDateString(new Date()) } = req.query;
+  const data = await service.list(from);
+  res.json({ data });
+}
+
+/**
+ * Create handler for new special dates
+ */
+async function create(req, res) {
+  const { newSpecialDate } = res.locals;
+  const specialDate = await service.create(newSpecialDate);
+  const data = await _withConflictingReservations(specialDate);
+  res.status(201).json({ data });
+}
+
+/**
+ * Read handler for reading a specified special date
+ */
+async function read(req, res) {
+  const data = await _withConflictingReservations(res.locals.specialDate);
+  res.json({ data });
+}
+
+/**
+ * Update handler for editing an entire special date
+ */
+async function update(req, res) {
+  const { specialDate, newSpecialDate } = res.locals;
+  const updated = await service.update(
+    specialDate.special_date_id,
+    newSpecialDate
+  );
+  const data = await _withConflictingReservations(updated);
+  res.json({ data });
+}
+
+/**
+ * Delete handler for removing a special date
+ * The weekly operating hours apply to that date again
+ */
+async function destroy(req, res) {
+  await service.destroy(res.locals.specialDate.special_date_id);
+  res.sendStatus(204);
+}
+
+module.exports = {
+  list: [validateListQueries, asyncErrorBoundary(list)],
+  create: [
+    bodyHasAllRequiredFields,
+    bodyHasNoInvalidFields,
+    asyncErrorBoundary(isDateAvailable),
+    asyncErrorBoundary(create),
+  ],
+  read: [asyncErrorBoundary(specialDateExists), asyncErrorBoundary(read)],
+  update: [
+    asyncErrorBoundary(specialDateExists),
+    bodyHasAllRequiredFields,
+    bodyHasNoInvalidFields,
+    validateSpecialDateUpdate,
+    asyncErrorBoundary(isDateAvailable),
+    asyncErrorBoundary(update),
+  ],
+  delete: [asyncErrorBoundary(specialDateExists), asyncErrorBoundary(destroy)],
+};
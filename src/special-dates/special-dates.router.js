@@ -0,0 +1,24 @@
+/**
+ * Defines the router for special date resources.
+ *
+ * @type {Router}
+ */
+
+const router = require("express").Router();
+const controller = require("./special-dates.controller");
+const methodNotAllowed = require("../errors/methodNotAllowed");
+
+router
+  .route("/")
+  .get(controller.list)
+  .post(controller.create)
+  .all(methodNotAllowed);
+
+router
+  .route("/:special_date_id")
+  .get(controller.read)
+  .put(controller.update)
+  .delete(controller.delete)
+  .all(methodNotAllowed);
+
+module.exports = router;
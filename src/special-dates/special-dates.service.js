@@ -0,0 +1,57 @@
+const db = require("../db/connection");
+const tableName = "special_dates";
+
+/**
+ * List query fetches all of the special dates sorted by date
+ * If a from date is given, only special dates on or after that date are returned
+ */
+function list(from) {
+  const query = db(tableName).select("*").orderBy("special_date", "ASC");
+  return from ? query.where("special_date", ">=", from) : query;
+}
+
+/**
+ * Create inserts a new special date into the table data
+ * and returns the inserted object
+ */
+function create(specialDate) {
+  return db(tableName)
+    .insert(specialDate)
+    .returning("*")
+    .then((rows) => rows[0]);
+}
+
+/**
+ * Returns a selected special date from the database
+ */
+function read(special_date_id) {
+  return db(tableName).where({ special_date_id }).first();
+}
+
+/**
+ * Returns the special date for a calendar date (YYYY-MM-DD), if there is one
+ * Used to check reservations against blackouts and special hours
+ */
+function readByDate(special_date) {
+  return db(tableName).where({ special_date }).first();
+}
+
+/**
+ * Updates the entire selected special date
+ * and returns the entire updated object
+ */
+function update(special_date_id, specialDate) {
+  return db(tableName)
+    .where({ special_date_id })
+    .update(specialDate, "*")
+    .then((rows) => rows[0]);
+}
+
+/**
+ * Deletes the selected special date
+ */
+function destroy(special_date_id) {
+  return db(tableName).where({ special_date_id }).del();
+}
+
+module.exports = { list, create, read, readByDate, update, destroy };
@@ -1,9 +1,69 @@
 const asyncErrorBoundary = require("../errors/asyncErrorBoundary");
 const service = require("./tables.service");
 const reservationService = require("../reservations/reservations.service");
+const sectionsService = require("../sections/sections.service");
+const hoursService = require("../hours/hours.service");
+const specialDatesService = require("../special-dates/special-dates.service");
+const {
+  TABLE_ATTRIBUTES,
+  isValidAttributeList,
+  getMissingAttributes,
+  getServerCovers,
+  suggestTables,
+  turnsOverlap,
+} = require("../utils/seating");
+const { toDateString, toMinutes, toTime } = require("../utils/time");
+const { getWindowsForDate } = require("../utils/schedule");
+const { END_OF_DAY, getOccupancy } = require("../utils/occupancy");
+const { getActor } = require("../utils/actor");
+const { toETag, getIfMatch, isStale, staleError } = require("../utils/etag");
+const {
+  parsePageQueries,
+  selectFields,
+  setPageHeaders,
+} = require("../utils/pagination");
 
 const REQUIRED_PROPERTIES = ["table_name", "capacity"];
-const VALID_PROPERTIES = [...REQUIRED_PROPERTIES, "reservation_id"];
+const VALID_PROPERTIES = [
+  ...REQUIRED_PROPERTIES,
+  "reservation_id",
+  "section_id",
+  "attributes",
+  "retired",
+];
+
+// The fields that can be changed with PUT and PATCH /tables/:table_id
+// The rest are kept up to date by the database, or by seating and unseating the table
+const EDITABLE_PROPERTIES = [
+  "table_name",
+  "capacity",
+  "section_id",
+  "attributes",
+  "retired",
+];
+
+// The fields GET /tables can be sorted on, and the fields that can be selected from each table
+const SORTABLE_FIELDS = [
+  "table_id",
+  "table_name",
+  "capacity",
+  "occupied",
+  "retired",
+  "section_id",
+  "section_name",
+  "floor",
+  "created_at",
+  "updated_at",
+];
+const SELECTABLE_FIELDS = [
+  ...SORTABLE_FIELDS,
+  "reservation_id",
+  "attributes",
+  "holds",
+  "reservations",
+  "occupancy",
+  "free_gaps",
+];
 
 /**
  * Middleware validation for request bodies
@@ -33,6 +93,29 @@ function bodyHasAllRequiredFields(req, res, next) {
       message: `The 'capacity' property must be a number that is 1 or greater`,
     });
 
+  // Attributes are optional, a table without any is a plain table
+  if (data.attributes === undefined || data.attributes === null)
+    data.attributes = [];
+
+  if (!isValidAttributeList(data.attributes))
+    return next({
+      status: 400,
+      message: `The 'attributes' property (${
+        data.attributes
+      }) must be a list of unique attributes from: ${TABLE_ATTRIBUTES.join(
+        ", "
+      )}`,
+    });
+
+  // Tables are in use unless they are retired
+  if (data.retired === undefined || data.retired === null) data.retired = false;
+
+  if (typeof data.retired !== "boolean")
+    return next({
+      status: 400,
+      message: `The 'retired' property (${data.retired}) must be true or false`,
+    });
+
   res.locals.table = data;
   return next();
 }
@@ -59,6 +142,173 @@ function bodyHasNoInvalidFields(req, res, next) {
   return next();
 }
 
+/**
+ * Middleware validation for ensuring section_ids are valid before assigning them to a foreign key
+ * NOTE: This middleware will skip itself if there is no section_id in the req.body, tables do not need a section
+ */
+async function isValidSection(req, res, next) {
+  const { data: { section_id } = {} } = req.body;
+
+  // Skip this validation if there is no section_id
+  if (section_id == null) return next();
+
+  const section = Number.isInteger(section_id)
+    ? await sectionsService.read(section_id)
+    : null;
+  if (!section)
+    return next({
+      status: 404,
+      message: `Section ${section_id} cannot be found.`,
+    });
+  return next();
+}
+
+/**
+ * Middleware for PUT and PATCH requests to a table
+ * Keeps the current table in res.locals.currentTable, before the request body replaces res.locals.table
+ * A PATCH request body only has the fields being changed, so they are merged into the table's current details
+ * The fields that cannot be edited are left out, so a table that was just read can be sent back as it is,
+ * but the table cannot be seated or unseated this way
+ */
+function prepareTableUpdate(req, res, next) {
+  const { table } = res.locals;
+  const { data = {} } = req.body;
+
+  if (data.table_id !== undefined && data.table_id !== table.table_id)
+    return next({
+      status: 400,
+      message: `The table_id in the request body (${data.table_id}) must match the table_id in the URL (${table.table_id}).`,
+    });
+
+  if (
+    data.reservation_id !== undefined &&
+    data.reservation_id !== table.reservation_id
+  )
+    return next({
+      status: 400,
+      message: `The reservation_id of a table cannot be edited. Use /tables/${table.table_id}/seat to seat or unseat a party.`,
+    });
+
+  const editable = Object.keys(data).filter(
+    (field) =>
+      EDITABLE_PROPERTIES.includes(field) || !SELECTABLE_FIELDS.includes(field)
+  );
+  const current =
+    req.method === "PATCH"
+      ? Object.fromEntries(
+          EDITABLE_PROPERTIES.map((field) => [field, table[field]])
+        )
+      : {};
+  req.body.data = {
+    ...current,
+    ...Object.fromEntries(editable.map((field) => [field, data[field]])),
+  };
+  res.locals.currentTable = table;
+  return next();
+}
+
+/**
+ * Middleware validation for editing a table with a party seated at it
+ * The party's table(s) must still have enough seats for everyone once the capacity is changed,
+ * and the table cannot be retired until the party is finished
+ */
+async function canSeatCurrentParty(req, res, next) {
+  const { currentTable, table } = res.locals;
+  if (!currentTable.occupied) return next();
+
+  const { table_name, table_id, reservation_id } = currentTable;
+  if (table.retired)
+    return next({
+      status: 400,
+      message: `"${table_name}" (#${table_id}) is occupied by reservation #${reservation_id}, and cannot be retired until the party is finished.`,
+    });
+
+  const reservation = await reservationService.read(reservation_id);
+  const seatedTables = await service.listSeatedTables(reservation_id);
+  const capacity = seatedTables.reduce(
+    (total, seated) =>
+      total + (seated.table_id === table_id ? table.capacity : seated.capacity),
+    0
+  );
+  if (capacity < reservation.people)
+    return next({
+      status: 400,
+      message: `"${table_name}" (#${table_id}) is occupied by reservation #${reservation_id} for ${reservation.people} people, and its capacity cannot be lowered to ${table.capacity} while they are seated.`,
+    });
+  return next();
+}
+
+/**
+ * Middleware validation for deleting a table
+ * A table cannot be deleted while a party is seated at it
+ */
+function tableIsNotOccupied(req, res, next) {
+  const { table } = res.locals;
+  if (table.occupied)
+    return next({
+      status: 400,
+      message: `"${table.table_name}" (#${table.table_id}) is occupied by reservation #${table.reservation_id}, and cannot be deleted until the party is finished.`,
+    });
+  return next();
+}
+
+/**
+ * Middleware validation for seating a party at a table
+ * Retired tables are kept for their history, but parties cannot be seated at them
+ */
+function tableIsActive(req, res, next) {
+  const { table } = res.locals;
+  if (table.retired)
+    return next({
+      status: 400,
+      message: `"${table.table_name}" (#${table.table_id}) is retired, and cannot be seated.`,
+    });
+  return next();
+}
+
+/**
+ * Middleware validation for the queries of the list route
+ * Tables can be filtered by section_id or floor, and planned for a date
+ * The page, limit, sort and fields queries are stored in res.locals.page and res.locals.fields, see parsePageQueries()
+ */
+function validateListQueries(req, res, next) {
+  const { section_id, date, retired } = req.query;
+
+  if (retired !== undefined && retired !== "true" && retired !== "false")
+    return next({
+      status: 400,
+      message: `The retired query (${retired}) must be true or false.`,
+    });
+
+  if (section_id !== undefined && !/^\d+$/.test(section_id))
+    return next({
+      status: 400,
+      message: `The section_id query (${section_id}) must be a section id.`,
+    });
+
+  if (
+    date !== undefined &&
+    (typeof date !== "string" ||
+      !/^\d\d\d\d-\d\d-\d\d$/.test(date) ||
+      Number.isNaN(Date.parse(date)))
+  )
+    return next({
+      status: 400,
+      message: `The date query (${date}) must be a valid date in the format of YYYY-MM-DD`,
+    });
+
+  const { page, fields, error } = parsePageQueries(
+    req.query,
+    SORTABLE_FIELDS,
+    SELECTABLE_FIELDS
+  );
+  if (error) return next(error);
+
+  res.locals.page = page;
+  res.locals.fields = fields;
+  return next();
+}
+
 /**
  * Middleware validation for request parameters
  * Ensures that the table_id param corresponds to a valid table
@@ -74,6 +324,22 @@ async function tableExists(req, res, next) {
   return next();
 }
 
+/**
+ * Middleware validation for optimistic concurrency
+ * When the request has an If-Match header, it must match the table's current ETag
+ * Otherwise someone else seated or unseated the table since it was loaded
+ * This rejects the request before it is validated against an old version, the service checks it again
+ * while the table is locked, in case it is changed in the meantime
+ */
+function tableIsCurrent(req, res, next) {
+  const { table } = res.locals;
+  if (isStale(getIfMatch(req), table))
+    return next(
+      staleError(`"${table.table_name}" (#${table.table_id})`, "table")
+    );
+  return next();
+}
+
 /**
  * Middleware Validation that requires the request body to have a reservation_id property
  * Currently only used for request bodies when assigning a reservation ID to the table with assignReservation()
@@ -112,25 +378,438 @@ async function isValidReservation(req, res, next) {
   return next();
 }
 
+/**
+ * Middleware validation for request parameters
+ * Ensures that the reservation_id param corresponds to a valid reservation
+ * Used by the table suggestion routes, which are nested under /reservations/:reservation_id
+ */
+async function reservationParamExists(req, res, next) {
+  const { reservation_id } = req.params;
+  const reservation = await reservationService.read(reservation_id);
+
+  if (!reservation)
+    return next({
+      status: 404,
+      message: `Reservation ${reservation_id} cannot be found.`,
+    });
+
+  res.locals.reservation = reservation;
+  return next();
+}
+
+/**
+ * Middleware validation for optimistic concurrency when auto-seating a reservation
+ * When the request has an If-Match header, it must match the reservation's current ETag
+ * The service checks it again while the reservation is locked, see tableIsCurrent()
+ */
+function reservationParamIsCurrent(req, res, next) {
+  const { reservation } = res.locals;
+  if (isStale(getIfMatch(req), reservation))
+    return next(
+      staleError(`Reservation #${reservation.reservation_id}`, "reservation")
+    );
+  return next();
+}
+
+/**
+ * @returns
+ *  the server assignments of the current shift: today's assignments for the service the restaurant is open for now
+ *  or an empty list when the restaurant is closed
+ */
+async function _listShiftAssignments() {
+  const now = new Date();
+  const today = toDateString(now);
+  const windows = getWindowsForDate(
+    await hoursService.list(),
+    new Date(`${today}T00:00`),
+    await specialDatesService.readByDate(today)
+  );
+  const minutes = now.getHours() * 60 + now.getMinutes();
+  const serviceWindow = windows.find(
+    ({ open_time, close_time }) =>
+      toMinutes(open_time) <= minutes && minutes <= toMinutes(close_time)
+  );
+  if (!serviceWindow) return [];
+
+  const assignments = await sectionsService.listAssignments(today);
+  return assignments.filter(
+    ({ service_name }) => service_name === serviceWindow.service_name
+  );
+}
+
+/**
+ * Middleware for ranking the free tables that can seat the reservation
+ * Stores the ranked suggestions in res.locals.suggestions, best fit first
+ * Parties are balanced across the servers of the current shift, see suggestTables()
+ * Pre-assigned (held) tables are always the first suggestion when they are free
+ */
+async function hasTableSuggestions(req, res, next) {
+  const { reservation } = res.locals;
+  const tables = await service.list();
+  const serverCovers = getServerCovers(
+    await service.listSeatedParties(),
+    await _listShiftAssignments()
+  );
+  const suggestions = suggestTables(tables, reservation, serverCovers);
+
+  // Tables held for the reservation are suggested first, as long as they are all free, none of them were retired,
+  // and they still meet the reservation's seating requirements
+  const heldTables = await service.listHeldTables(reservation.reservation_id);
+  if (
+    heldTables.length &&
+    heldTables.every(({ occupied, retired }) => !occupied && !retired) &&
+    !getMissingAttributes(heldTables, reservation.seating_requirements).length
+  ) {
+    const heldIds = heldTables.map(({ table_id }) => table_id);
+    const capacity = heldTables.reduce((total, t) => total + t.capacity, 0);
+    res.locals.suggestions = [
+      {
+        table_ids: heldIds,
+        tables: heldTables,
+        capacity,
+        empty_seats: capacity - reservation.people,
+        held: true,
+      },
+      ...suggestions.filter(
+        ({ table_ids }) => table_ids.join() !== heldIds.join()
+      ),
+    ];
+  } else {
+    res.locals.suggestions = suggestions;
+  }
+  return next();
+}
+
+/**
+ * Middleware for auto-seating a reservation at the best fitting free table(s)
+ * The top suggestion becomes the table (and combined tables) being seated,
+ * so the reservation is then seated the same way as PUT /tables/:table_id/seat
+ */
+function pickTopSuggestion(req, res, next) {
+  const { reservation, suggestions } = res.locals;
+  const { seating_requirements = [] } = reservation;
+  if (!suggestions.length)
+    return next({
+      status: 400,
+      message: `There are no free tables${
+        seating_requirements.length
+          ? ` meeting the seating requirement(s) (${seating_requirements.join(
+              ", "
+            )})`
+          : ""
+      } that can accomodate the ${reservation.people} people in reservation #${
+        reservation.reservation_id
+      }.`,
+    });
+
+  const [{ tables }] = suggestions;
+  res.locals.table = tables[0];
+  res.locals.tables = tables;
+  return next();
+}
+
+/**
+ * Middleware validation for seating a party at combined tables
+ * The request body may have a table_ids property listing the other tables being pushed together with this one
+ * Ensures every one of those tables exists, then stores all of the tables being seated in res.locals.tables
+ * NOTE: Without table_ids, only the table in the request parameters is seated
+ */
+async function combinedTablesExist(req, res, next) {
+  const { data: { table_ids = [] } = {} } = req.body;
+  const { table } = res.locals;
+
+  if (!Array.isArray(table_ids) || !table_ids.every(Number.isInteger))
+    return next({
+      status: 400,
+      message: `The table_ids property (${table_ids}) must be a list of table ids.`,
+    });
+
+  const otherIds = [...new Set(table_ids)].filter(
+    (table_id) => table_id !== table.table_id
+  );
+  const others = otherIds.length ? await service.readMany(otherIds) : [];
+
+  const missingIds = otherIds.filter(
+    (table_id) => !others.find((other) => other.table_id === table_id)
+  );
+  if (missingIds.length)
+    return next({
+      status: 404,
+      message: `Table(s) ${missingIds.join(", ")} cannot be found.`,
+    });
+
+  const retired = others.filter((other) => other.retired);
+  if (retired.length)
+    return next({
+      status: 400,
+      message: `Retired tables cannot be seated: ${_describeTables(retired)}.`,
+    });
+
+  res.locals.tables = [table, ...others];
+  return next();
+}
+
 /**
  * Validation middleware to ensure that the table can accomodate the reservation
  * The table must not be occupied, and must have enough seats to sit everyone in the reservation
+ * When tables are combined, none of them may be occupied, and their capacities are added together
+ * The tables must meet every seating requirement of the reservation (e.g. accessible),
+ * while seating preferences that are not met are only stored as warnings in res.locals.warnings
  */
 function hasAppropriateSeating(req, res, next) {
-  const { reservation, table } = res.locals;
-  if (table.occupied)
+  const { reservation, table, tables = [table] } = res.locals;
+
+  const occupiedTable = tables.find(({ occupied }) => occupied);
+  if (occupiedTable)
+    return next({
+      status: 400,
+      message: `"${occupiedTable.table_name}" (#${occupiedTable.table_id}) is currently occupied, and cannot be seated.`,
+    });
+
+  const capacity = tables.reduce((total, { capacity }) => total + capacity, 0);
+  if (reservation.people > capacity && tables.length === 1)
+    return next({
+      status: 400,
+      message: `"${table.table_name}" (#${
+        table.table_id
+      }) has a maximum capacity of ${
+        table.capacity
+      }. This table cannot accomodate the ${
+        reservation.people
+      } people in ${_describeParty(reservation)}.`,
+    });
+
+  if (reservation.people > capacity)
+    return next({
+      status: 400,
+      message: `${tables
+        .map(({ table_name, table_id }) => `"${table_name}" (#${table_id})`)
+        .join(
+          ", "
+        )} have a combined capacity of ${capacity}. These tables cannot accomodate the ${
+        reservation.people
+      } people in ${_describeParty(reservation)}.`,
+    });
+
+  const missingRequirements = getMissingAttributes(
+    tables,
+    reservation.seating_requirements
+  );
+  if (missingRequirements.length)
+    return next({
+      status: 400,
+      message: `${_describeTables(
+        tables
+      )} cannot meet the seating requirement(s) of ${_describeParty(
+        reservation
+      )}: ${missingRequirements.join(", ")}.`,
+    });
+
+  const missingPreferences = getMissingAttributes(
+    tables,
+    reservation.seating_preferences
+  );
+  res.locals.warnings = missingPreferences.length
+    ? [
+        `${_describeTables(
+          tables
+        )} cannot meet the seating preference(s) of ${_describeParty(
+          reservation
+        )}: ${missingPreferences.join(", ")}.`,
+      ]
+    : [];
+  return next();
+}
+
+/**
+ * Middleware validation to ensure tables are only held for reservations that have not been seated yet
+ */
+function isReservationBooked(req, res, next) {
+  const { reservation } = res.locals;
+  if (reservation.status !== "booked")
     return next({
       status: 400,
-      message: `"${table.table_name}" (#${table.table_id}) is currently occupied, and cannot be seated.`,
+      message: `Only booked reservations can have tables held for them. Reservation #${reservation.reservation_id} is '${reservation.status}'.`,
+    });
+  return next();
+}
+
+/**
+ * Middleware validation for request bodies
+ * Ensures the request body has a table_ids property listing at least one table to hold, and that every table exists
+ * Then also ensures the held tables have enough seats for the reservation
+ */
+async function hasValidHoldTables(req, res, next) {
+  const { data: { table_ids } = {} } = req.body;
+  const { reservation } = res.locals;
+
+  if (
+    !Array.isArray(table_ids) ||
+    !table_ids.length ||
+    !table_ids.every(Number.isInteger)
+  )
+    return next({
+      status: 400,
+      message: `The data in the request body requires a table_ids property listing the tables to hold.`,
+    });
+
+  const tableIds = [...new Set(table_ids)];
+  const tables = await service.readMany(tableIds);
+  const missingIds = tableIds.filter(
+    (table_id) => !tables.find((table) => table.table_id === table_id)
+  );
+  if (missingIds.length)
+    return next({
+      status: 404,
+      message: `Table(s) ${missingIds.join(", ")} cannot be found.`,
+    });
+
+  const retired = tables.filter((table) => table.retired);
+  if (retired.length)
+    return next({
+      status: 400,
+      message: `Retired tables cannot be held: ${_describeTables(retired)}.`,
     });
 
-  if (reservation.people > table.capacity)
+  const capacity = tables.reduce((total, table) => total + table.capacity, 0);
+  if (reservation.people > capacity)
     return next({
       status: 400,
-      message: `"${table.table_name}" (#${table.table_id}) has a maximum capacity of ${table.capacity}. This table cannot accomodate the ${reservation.people} people in reservation #${reservation.reservation_id}.`,
+      message: `The held tables have a combined capacity of ${capacity}, and cannot accomodate the ${reservation.people} people in reservation #${reservation.reservation_id}.`,
     });
+
+  const missingRequirements = getMissingAttributes(
+    tables,
+    reservation.seating_requirements
+  );
+  if (missingRequirements.length)
+    return next({
+      status: 400,
+      message: `The held tables cannot meet the seating requirement(s) of reservation #${
+        reservation.reservation_id
+      }: ${missingRequirements.join(", ")}.`,
+    });
+
+  res.locals.tables = tables;
   return next();
 }
+
+/**
+ * Middleware for finding conflicts between holds
+ * A conflict is a table that is also held for another booked reservation whose turn overlaps this one
+ * Conflicts do not stop the request, they are stored as warnings in res.locals.warnings
+ */
+async function findHoldConflicts(req, res, next) {
+  const { reservation, tables } = res.locals;
+  const holds = await service.listHoldsForTables(
+    tables.map(({ table_id }) => table_id),
+    toDateString(reservation.reservation_date)
+  );
+
+  res.locals.warnings = _describeHoldConflicts(
+    holds.filter(
+      (hold) =>
+        hold.reservation_id !== reservation.reservation_id &&
+        turnsOverlap(reservation, hold)
+    ),
+    tables
+  );
+  return next();
+}
+
+/**
+ * Middleware for finding conflicts when seating a reservation
+ * Warns when the tables being seated are held for another booked reservation arriving today before this party leaves,
+ * and when the reservation is being seated away from the tables held for it
+ * Conflicts do not stop the seating, they are added to the warnings in res.locals.warnings
+ * Walk-ins from the waitlist are not a reservation yet, so no tables are held for them
+ */
+async function findSeatingConflicts(req, res, next) {
+  const { reservation, tables } = res.locals;
+  const now = new Date();
+  const turn = {
+    reservation_time: toTime(now.getHours() * 60 + now.getMinutes()),
+    duration: reservation.duration,
+  };
+
+  const holds = await service.listHoldsForTables(
+    tables.map(({ table_id }) => table_id),
+    toDateString(now)
+  );
+  const warnings = _describeHoldConflicts(
+    holds.filter(
+      (hold) =>
+        hold.reservation_id !== reservation.reservation_id &&
+        turnsOverlap(turn, hold)
+    ),
+    tables
+  );
+
+  const heldTables = reservation.reservation_id
+    ? await service.listHeldTables(reservation.reservation_id)
+    : [];
+  const unusedHolds = heldTables.filter(
+    ({ table_id }) => !tables.find((table) => table.table_id === table_id)
+  );
+  if (unusedHolds.length)
+    warnings.push(
+      `Reservation #${
+        reservation.reservation_id
+      } was pre-assigned to ${unusedHolds
+        .map(({ table_name, table_id }) => `"${table_name}" (#${table_id})`)
+        .join(", ")}, and is being seated elsewhere.`
+    );
+
+  res.locals.warnings = [...(res.locals.warnings || []), ...warnings];
+  return next();
+}
+
+/**
+ * @param tables
+ *  the tables being seated or held together
+ * @returns
+ *  the names and ids of the tables, for use in messages
+ */
+function _describeTables(tables) {
+  return tables
+    .map(({ table_name, table_id }) => `"${table_name}" (#${table_id})`)
+    .join(", ");
+}
+
+/**
+ * @param party
+ *  the reservation being seated, or the walk-in being seated from the waitlist (see waitlist.controller)
+ * @returns
+ *  the reservation or waitlist entry, for use in messages
+ */
+function _describeParty({ reservation_id, waitlist_id }) {
+  return reservation_id
+    ? `reservation #${reservation_id}`
+    : `waitlist entry #${waitlist_id}`;
+}
+
+/**
+ * @param holds
+ *  the conflicting holds, each with a table_id and the held reservation's details
+ * @param tables
+ *  the tables involved in the conflicts
+ * @returns
+ *  a warning message describing each conflict
+ */
+function _describeHoldConflicts(holds, tables) {
+  return holds.map((hold) => {
+    const { table_name } = tables.find(
+      ({ table_id }) => table_id === hold.table_id
+    );
+    return `"${table_name}" (#${hold.table_id}) is also held for reservation #${
+      hold.reservation_id
+    } (${hold.first_name} ${hold.last_name}) at ${hold.reservation_time.slice(
+      0,
+      5
+    )}.`;
+  });
+}
+
 /**
  * Validation middleware to make sure the table is currently occupied
  * We cannot unseat a table that is vacant, it MUST be occupied
@@ -149,6 +828,7 @@ function tableIsOccupied(req, res, next) {
  * Middleware validation to ensure the current reservation has not already been seated,and is not finished
  * Already seated reservations cannot be seated elsewhere
  * Finished reservations are archived and cannot be seated
+ * No-shows must be booked again before they can be seated
  */
 async function isReservationSeatedAlready(req, res, next) {
   const { reservation } = res.locals;
@@ -164,16 +844,84 @@ async function isReservationSeatedAlready(req, res, next) {
       message:
         "This reservation is currently finished. Finished reservations are archived, and cannot be seated.",
     });
+  if (reservation.status === "no_show")
+    return next({
+      status: 400,
+      message:
+        "This reservation was marked as a no-show. Change its status back to 'booked' before seating it.",
+    });
   return next();
 }
 
+/**
+ * @param date
+ *  a date (YYYY-MM-DD)
+ * @returns
+ *  the current time in minutes since midnight if the date is today,
+ *  otherwise 0 for future dates and END_OF_DAY for past dates
+ */
+function _getMinutesNow(date) {
+  const now = new Date();
+  const today = toDateString(now);
+  if (date === today) return now.getHours() * 60 + now.getMinutes();
+  return date > today ? 0 : END_OF_DAY;
+}
+
+/**
+ * @returns
+ *  the tables with the plan for the date added to each of them:
+ *  the booked reservations it is held for (holds), every reservation seated at or held on it (reservations),
+ *  and its current and future occupancy windows and free gaps, see getOccupancy()
+ */
+async function _withOccupancy(tables, date) {
+  const holds = await service.listHolds(date);
+  const seated = await service.listSeated(date);
+  const serviceWindows = getWindowsForDate(
+    await hoursService.list(),
+    new Date(`${date}T00:00`),
+    await specialDatesService.readByDate(date)
+  );
+  const now = _getMinutesNow(date);
+
+  return tables.map((table) => {
+    const isOnTable = ({ table_id }) => table_id === table.table_id;
+    const tableHolds = holds.filter(isOnTable);
+    const reservations = [
+      ...seated.filter(isOnTable),
+      ...tableHolds.map((hold) => ({ ...hold, status: "booked" })),
+    ].sort((reservation, other) =>
+      reservation.reservation_time.localeCompare(other.reservation_time)
+    );
+
+    return {
+      ...table,
+      holds: tableHolds,
+      reservations,
+      ...getOccupancy(reservations, serviceWindows, now),
+    };
+  });
+}
+
 /**
  * List handler for tables resource
+ * Tables can be filtered by section_id or floor
+ * Retired tables are only listed with the retired=true query
+ * When a date query is given, each table includes its plan for that date, see _withOccupancy()
+ * A page or limit query lists the tables a page at a time, with links to the other pages in the headers, otherwise every table is listed
+ * Either way, the total count is in the X-Total-Count header
  */
 async function list(req, res) {
-  const { date } = req.query;
-  const data = await service.list(date);
-  res.json({ data });
+  const { date, section_id, floor, retired } = req.query;
+  const { page, fields } = res.locals;
+  const { data: tables, total } = await service.listPage(
+    service.list({ section_id, floor, retired: retired === "true" }),
+    page
+  );
+  setPageHeaders(req, res, page, total);
+  if (!date) return res.json({ data: selectFields(tables, fields) });
+
+  const data = await _withOccupancy(tables, date);
+  res.json({ data: selectFields(data, fields) });
 }
 
 /**
@@ -182,26 +930,100 @@ async function list(req, res) {
 async function create(req, res) {
   const { table } = res.locals;
   const data = await service.create(table);
-  res.status(201).json({ data });
+  res.set("ETag", toETag(data)).status(201).json({ data });
 }
 
 /**
  * Read handler for reading a specified table
  */
 function read(req, res) {
-  res.json({ data: res.locals.table });
+  const { table } = res.locals;
+  res.set("ETag", toETag(table)).json({ data: table });
+}
+
+/**
+ * Update handler for editing a table with PUT (every field) or PATCH (only some fields)
+ * A field left out of a PUT request is cleared, e.g. the table no longer belongs to a section
+ * Retiring a table hides it from the tables list and from seating, while it is kept for its history
+ * Any holds on a retired table are released, so the held reservations can be given another table
+ */
+async function update(req, res) {
+  const { currentTable, table } = res.locals;
+  const changes = Object.fromEntries(
+    EDITABLE_PROPERTIES.map((field) => [
+      field,
+      table[field] === undefined ? null : table[field],
+    ])
+  );
+  const data = await service.update(
+    currentTable.table_id,
+    changes,
+    currentTable.reservation_id,
+    getIfMatch(req)
+  );
+  res.set("ETag", toETag(data)).json({ data });
+}
+
+/**
+ * Delete handler for removing a table for good
+ * Any holds on it are released, tables with history to keep can be retired instead
+ */
+async function destroy(req, res) {
+  await service.destroy(res.locals.table.table_id, getIfMatch(req));
+  res.sendStatus(204);
+}
+
+/**
+ * List handler for the table suggestions of a reservation
+ */
+function listSuggestions(req, res) {
+  res.json({ data: res.locals.suggestions });
 }
 
 /**
  * Update handler for assigning a reservation to a Table
+ * Any combined tables are seated along with it, and the table from the request parameters is returned
+ * along with any warnings about tables held for other reservations
  */
 async function assignReservation(req, res) {
   const { reservation_id } = res.locals.reservation;
   const { table_id } = res.locals.table;
-  // When seating a table, we must set the reservation status to 'seated'
-  await reservationService.updateStatus(reservation_id, "seated");
-  const data = await service.assignReservation(reservation_id, table_id);
-  res.json({ data });
+  const tableIds = res.locals.tables.map((table) => table.table_id);
+  // The If-Match header is for the table when seating a table, and for the reservation when auto-seating it
+  const ifMatch = req.params.table_id
+    ? { tables: { [table_id]: getIfMatch(req) } }
+    : { reservation: getIfMatch(req) };
+  const seatedTables = await service.seatReservation(
+    reservation_id,
+    tableIds,
+    getActor(req),
+    null,
+    ifMatch
+  );
+  const data = seatedTables.find((table) => table.table_id === table_id);
+  res.set("ETag", toETag(data)).json({ data, warnings: res.locals.warnings });
+}
+
+/**
+ * Update handler for holding (pre-assigning) tables for a future reservation
+ * Replaces any tables previously held for the reservation
+ * and returns the held tables along with any warnings about conflicting holds
+ */
+async function holdTables(req, res) {
+  const { reservation, tables, warnings } = res.locals;
+  const data = await service.holdTables(
+    reservation.reservation_id,
+    tables.map(({ table_id }) => table_id)
+  );
+  res.json({ data, warnings });
+}
+
+/**
+ * Delete handler for releasing every table held for a reservation
+ */
+async function releaseTables(req, res) {
+  await service.releaseTables(res.locals.reservation.reservation_id);
+  res.sendStatus(204);
 }
 
 /**
@@ -210,31 +1032,91 @@ async function assignReservation(req, res) {
  */
 async function deleteReservation(req, res) {
   const { reservation_id, table_id } = res.locals.table;
-  // When unseating/finishing a table, we must set the reservation status to 'finished'
-  await reservationService.updateStatus(reservation_id, "finished");
-  const data = await service.deleteReservation(table_id);
-  res.json({ data });
+  // Every table the reservation is seated at is freed, including combined tables
+  const freedTables = await service.finishReservation(
+    reservation_id,
+    getActor(req),
+    { tables: { [table_id]: getIfMatch(req) } }
+  );
+  const data = freedTables.find((table) => table.table_id === table_id);
+  res.set("ETag", toETag(data)).json({ data });
 }
 
 module.exports = {
-  list: asyncErrorBoundary(list),
+  list: [validateListQueries, asyncErrorBoundary(list)],
   create: [
     bodyHasAllRequiredFields,
     bodyHasNoInvalidFields,
+    asyncErrorBoundary(isValidSection),
     asyncErrorBoundary(isValidReservation),
     asyncErrorBoundary(create),
   ],
   read: [asyncErrorBoundary(tableExists), read],
+  update: [
+    asyncErrorBoundary(tableExists),
+    tableIsCurrent,
+    prepareTableUpdate,
+    bodyHasAllRequiredFields,
+    bodyHasNoInvalidFields,
+    asyncErrorBoundary(isValidSection),
+    asyncErrorBoundary(canSeatCurrentParty),
+    asyncErrorBoundary(update),
+  ],
+  destroy: [
+    asyncErrorBoundary(tableExists),
+    tableIsCurrent,
+    tableIsNotOccupied,
+    asyncErrorBoundary(destroy),
+  ],
   assignReservation: [
     asyncErrorBoundary(tableExists),
+    tableIsCurrent,
+    tableIsActive,
     hasReservationId,
     asyncErrorBoundary(isValidReservation),
+    asyncErrorBoundary(combinedTablesExist),
     hasAppropriateSeating,
     isReservationSeatedAlready,
+    asyncErrorBoundary(findSeatingConflicts),
     asyncErrorBoundary(assignReservation),
   ],
+  suggestions: [
+    asyncErrorBoundary(reservationParamExists),
+    asyncErrorBoundary(hasTableSuggestions),
+    listSuggestions,
+  ],
+  autoSeat: [
+    asyncErrorBoundary(reservationParamExists),
+    reservationParamIsCurrent,
+    isReservationSeatedAlready,
+    asyncErrorBoundary(hasTableSuggestions),
+    pickTopSuggestion,
+    hasAppropriateSeating,
+    asyncErrorBoundary(findSeatingConflicts),
+    asyncErrorBoundary(assignReservation),
+  ],
+  // The checks for seating the party in res.locals.reservation at res.locals.table (and any combined tables),
+  // shared with seating walk-ins from the waitlist
+  seatingChecks: [
+    tableIsActive,
+    asyncErrorBoundary(combinedTablesExist),
+    hasAppropriateSeating,
+    asyncErrorBoundary(findSeatingConflicts),
+  ],
+  holdTables: [
+    asyncErrorBoundary(reservationParamExists),
+    isReservationBooked,
+    asyncErrorBoundary(hasValidHoldTables),
+    asyncErrorBoundary(findHoldConflicts),
+    asyncErrorBoundary(holdTables),
+  ],
+  releaseTables: [
+    asyncErrorBoundary(reservationParamExists),
+    asyncErrorBoundary(releaseTables),
+  ],
   delete: [
     asyncErrorBoundary(tableExists),
+    tableIsCurrent,
     tableIsOccupied,
     asyncErrorBoundary(deleteReservation),
   ],
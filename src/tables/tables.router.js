@@ -7,6 +7,7 @@
 const router = require("express").Router();
 const controller = require("./tables.controller");
 const methodNotAllowed = require("../errors/methodNotAllowed");
+const idempotent = require("../idempotency/idempotent");
 
 router
   .route("/")
@@ -14,13 +15,19 @@ router
   .post(controller.create)
   .all(methodNotAllowed);
 
-router.route("/:table_id").get(controller.read).all(methodNotAllowed);
+router
+  .route("/:table_id")
+  .get(controller.read)
+  .put(controller.update)
+  .patch(controller.update)
+  .delete(controller.destroy)
+  .all(methodNotAllowed);
 
 router
   .route("/:table_id/seat")
   .get(controller.read)
-  .put(controller.assignReservation)
-  .delete(controller.delete)
+  .put(idempotent, controller.assignReservation)
+  .delete(idempotent, controller.delete)
   .all(methodNotAllowed);
 
 module.exports = router;
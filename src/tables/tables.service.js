@@ -1,10 +1,46 @@
 const db = require("../db/connection");
+const inTransaction = require("../db/transaction");
+const paginate = require("../db/paginate");
+const reservationsService = require("../reservations/reservations.service");
+const { isStale, staleError } = require("../utils/etag");
 const tableName = "tables";
+const holdsTableName = "table_holds";
+
+// The reservation details returned along with each hold or seated table
+const RESERVATION_COLUMNS = [
+  "reservations.reservation_id",
+  "reservations.first_name",
+  "reservations.last_name",
+  "reservations.reservation_date",
+  "reservations.reservation_time",
+  "reservations.people",
+  "reservations.duration",
+];
+const HOLD_COLUMNS = ["table_holds.table_id", ...RESERVATION_COLUMNS];
 /**
  * List query fetches all of the table data sorted by table_name
+ * Each table includes the name and floor of its section
+ * Can be filtered down to a single section_id or floor
+ * Retired tables are left out, unless retired is true, which lists only the retired tables
+ */
+function list({ section_id, floor, retired = false } = {}) {
+  const query = db(tableName)
+    .leftJoin("sections", "sections.section_id", "tables.section_id")
+    .select("tables.*", "sections.section_name", "sections.floor")
+    .where({ "tables.retired": retired })
+    .orderBy("tables.table_name");
+
+  if (section_id) query.where({ "tables.section_id": section_id });
+  if (floor) query.where({ "sections.floor": floor });
+  return query;
+}
+
+/**
+ * Fetches one page of a tables query, such as list()
+ * and returns { data, total }
  */
-function list() {
-  return db(tableName).select("*").orderBy("table_name");
+function listPage(query, page) {
+  return paginate(query, page, "table_id");
 }
 
 /**
@@ -27,27 +63,325 @@ function read(table_id) {
 }
 
 /**
- * Assign a foreign key reservation_id to the corresponding table
- * sets the table to be occupied
- * and returns the entire updated object
+ * Returns the selected tables from the database
+ * Used to validate the table_ids when seating a party at combined tables
+ */
+function readMany(table_ids) {
+  return db(tableName).whereIn("table_id", table_ids).orderBy("table_id");
+}
+
+/**
+ * Updates the selected table's details, and returns the entire updated object
+ * The table row is locked first, and if a party was seated at or unseated from the table
+ * since it was checked (it is no longer seating reservation_id), nothing is changed and a 409 is thrown
+ * The same happens with a 412 if ifMatch (the ETags of the request's If-Match header) no longer matches the table,
+ * and with a 404 if the table was deleted in the meantime
+ * Retiring a table releases every hold on it, since a retired table cannot be seated
  */
-function assignReservation(reservation_id, table_id) {
+function update(table_id, table, reservation_id, ifMatch = null) {
+  return db.transaction(async (trx) => {
+    const locked = await trx(tableName).where({ table_id }).forUpdate().first();
+    if (!locked)
+      throw { status: 404, message: `Table ${table_id} cannot be found.` };
+    if (isStale(ifMatch, locked)) throw _staleTable(locked);
+    if (locked.reservation_id !== reservation_id)
+      throw _conflict(
+        `"${locked.table_name}" (#${table_id}) has been seated or unseated.`
+      );
+
+    const [updated] = await trx(tableName)
+      .where({ table_id })
+      .update({ ...table, updated_at: new Date() }, "*");
+    if (updated.retired) await trx(holdsTableName).where({ table_id }).del();
+    return updated;
+  });
+}
+
+/**
+ * Deletes the selected table, along with any holds on it
+ * The table row is locked first, and only a free table is deleted
+ * If a party was seated at it since it was checked a 409 is thrown,
+ * and if ifMatch (the ETags of the request's If-Match header) no longer matches the table a 412 is thrown
+ */
+function destroy(table_id, ifMatch = null) {
+  return db.transaction(async (trx) => {
+    const locked = await trx(tableName).where({ table_id }).forUpdate().first();
+    if (!locked)
+      throw { status: 404, message: `Table ${table_id} cannot be found.` };
+    if (isStale(ifMatch, locked)) throw _staleTable(locked);
+    if (locked.occupied)
+      throw _conflict(`Table #${table_id} has been seated with a party.`);
+
+    await trx(tableName).where({ table_id }).del();
+  });
+}
+
+/**
+ * Lists every table a reservation is seated at, combined tables included
+ */
+function listSeatedTables(reservation_id) {
+  return db(tableName).where({ reservation_id }).orderBy("table_id");
+}
+
+/**
+ * Lists every party currently seated, along with the section it is seated in
+ * A party seated at combined tables is listed once for each section its tables are in
+ * Used to balance new parties across the servers' sections
+ */
+function listSeatedParties() {
   return db(tableName)
-    .where({ table_id })
-    .update({ occupied: true, reservation_id }, "*")
-    .then((rows) => rows[0]);
+    .join(
+      "reservations",
+      "reservations.reservation_id",
+      "tables.reservation_id"
+    )
+    .distinct(
+      "tables.section_id",
+      "reservations.reservation_id",
+      "reservations.people"
+    )
+    .where({ "tables.occupied": true });
+}
+
+// Reservations with these statuses can no longer be seated
+const UNSEATABLE_STATUSES = ["seated", "finished", "no_show"];
+
+/**
+ * @param message
+ *  what changed while the request was being handled
+ * @returns
+ *  an error for when a concurrent change wins, which is thrown to roll back the transaction
+ */
+function _conflict(message) {
+  return {
+    status: 409,
+    message: `${message} It was changed by someone else at the same time, please refresh and try again.`,
+  };
+}
+
+/**
+ * @param table
+ *  the locked table, which changed since the request loaded it
+ * @returns
+ *  a 412 error, which is thrown to roll back the transaction
+ */
+function _staleTable({ table_id, table_name }) {
+  return staleError(`"${table_name}" (#${table_id})`, "table");
+}
+
+/**
+ * Throws a 412 if the request was made against an older version of the reservation or of one of the tables
+ * ifMatch has the ETags of the request's If-Match header (see getIfMatch()) for the rows it was made against,
+ * as { reservation, tables: { [table_id]: ETags } }
+ */
+function _throwIfStale(ifMatch, reservation, tables) {
+  const { reservation: reservationIfMatch, tables: tablesIfMatch = {} } =
+    ifMatch;
+  if (isStale(reservationIfMatch, reservation))
+    throw staleError(
+      `Reservation #${reservation.reservation_id}`,
+      "reservation"
+    );
+
+  const staleTable = tables.find((table) =>
+    isStale(tablesIfMatch[table.table_id], table)
+  );
+  if (staleTable) throw _staleTable(staleTable);
+}
+
+/**
+ * Seats a reservation at one or more tables, which are pushed together for large parties
+ * When seating a table, we must set the reservation status to 'seated', which is recorded in its history
+ * Both writes happen in a single transaction, so the tables are occupied together or not at all
+ * The reservation and table rows are locked first (reservation, then tables in table_id order),
+ * and if another request already seated the reservation, or occupied or retired a table, nothing is changed and a 409 is thrown
+ * The same happens with a 412 if the reservation or a table changed since the request loaded it, see _throwIfStale()
+ * Any tables held for the reservation are released
+ * Used when seating reservations, and when seating walk-ins from the waitlist
+ * Can be made part of another transaction by passing it in as trx
+ * and returns every updated table
+ */
+function seatReservation(
+  reservation_id,
+  table_ids,
+  actor = null,
+  trx,
+  ifMatch = {}
+) {
+  const tableIds = [].concat(table_ids);
+  return inTransaction(trx, async (trx) => {
+    const reservation = await trx("reservations")
+      .where({ reservation_id })
+      .forUpdate()
+      .first();
+    const lockedTables = await trx(tableName)
+      .whereIn("table_id", tableIds)
+      .orderBy("table_id")
+      .forUpdate();
+    _throwIfStale(ifMatch, reservation, lockedTables);
+
+    if (UNSEATABLE_STATUSES.includes(reservation.status))
+      throw _conflict(
+        `Reservation #${reservation_id} is now '${reservation.status}', and cannot be seated.`
+      );
+
+    const occupiedTable = lockedTables.find(({ occupied }) => occupied);
+    if (occupiedTable)
+      throw _conflict(
+        `"${occupiedTable.table_name}" (#${occupiedTable.table_id}) is now occupied by reservation #${occupiedTable.reservation_id}.`
+      );
+
+    const retiredTable = lockedTables.find(({ retired }) => retired);
+    if (retiredTable)
+      throw _conflict(
+        `"${retiredTable.table_name}" (#${retiredTable.table_id}) is now retired.`
+      );
+
+    await reservationsService.updateStatus(
+      reservation_id,
+      "seated",
+      actor,
+      trx
+    );
+    // Once seated, the reservation no longer needs its pre-assigned tables
+    await trx(holdsTableName).where({ reservation_id }).del();
+    return trx(tableName)
+      .whereIn("table_id", tableIds)
+      .update({ occupied: true, reservation_id, updated_at: new Date() }, "*");
+  });
+}
+
+/**
+ * Unseats a reservation from every table it is seated at
+ * When unseating/finishing a table, we must set the reservation status to 'finished', which is recorded in its history
+ * Combined tables are freed together in a single transaction
+ * The reservation and table rows are locked first, the same way as seatReservation(),
+ * and if another request already unseated the reservation, nothing is changed and a 409 is thrown
+ * The same happens with a 412 if one of the tables changed since the request loaded it, see _throwIfStale()
+ * and returns every updated table
+ */
+function finishReservation(reservation_id, actor = null, ifMatch = {}) {
+  return db.transaction(async (trx) => {
+    const reservation = await trx("reservations")
+      .where({ reservation_id })
+      .forUpdate()
+      .first();
+    const seatedTables = await trx(tableName)
+      .where({ reservation_id })
+      .orderBy("table_id")
+      .forUpdate();
+    if (!reservation || !seatedTables.length)
+      throw _conflict(
+        `Reservation #${reservation_id} is no longer seated at any table.`
+      );
+    _throwIfStale(ifMatch, reservation, seatedTables);
+
+    await reservationsService.updateStatus(
+      reservation_id,
+      "finished",
+      actor,
+      trx
+    );
+    return trx(tableName)
+      .where({ reservation_id })
+      .update(
+        { occupied: false, reservation_id: null, updated_at: new Date() },
+        "*"
+      );
+  });
+}
+
+/**
+ * Lists the table holds for every booked reservation on a date (YYYY-MM-DD)
+ * Each hold has the held table_id along with the reservation's details
+ * Sorted by the time of the reservation in ascending order
+ */
+function listHolds(reservation_date) {
+  return db(holdsTableName)
+    .join(
+      "reservations",
+      "reservations.reservation_id",
+      "table_holds.reservation_id"
+    )
+    .select(HOLD_COLUMNS)
+    .where({ "reservations.reservation_date": reservation_date })
+    .andWhere({ "reservations.status": "booked" })
+    .orderBy("reservations.reservation_time", "ASC");
 }
 
 /**
- * Assign the former foreign key reservation_id to NULL
- * sets the table to be unoccupied
- * and returns the entire updated object
+ * Lists the occupied tables of every reservation on a date (YYYY-MM-DD) that is seated now
+ * Each row has the table_id along with the reservation's details
  */
-function deleteReservation(table_id) {
+function listSeated(reservation_date) {
   return db(tableName)
-    .where({ table_id })
-    .update({ occupied: false, reservation_id: null })
-    .then((rows) => rows[0]);
+    .join(
+      "reservations",
+      "reservations.reservation_id",
+      "tables.reservation_id"
+    )
+    .select("tables.table_id", ...RESERVATION_COLUMNS, "reservations.status")
+    .where({ "tables.occupied": true })
+    .andWhere({ "reservations.reservation_date": reservation_date });
+}
+
+/**
+ * Lists the holds on the selected tables for every booked reservation on a date (YYYY-MM-DD)
+ * Used to find conflicts between holds
+ */
+function listHoldsForTables(table_ids, reservation_date) {
+  return listHolds(reservation_date).whereIn("table_holds.table_id", table_ids);
+}
+
+/**
+ * Lists the tables held for a reservation
+ */
+function listHeldTables(reservation_id) {
+  return db(tableName)
+    .join(holdsTableName, "table_holds.table_id", "tables.table_id")
+    .select("tables.*")
+    .where({ "table_holds.reservation_id": reservation_id })
+    .orderBy("tables.table_id");
+}
+
+/**
+ * Replaces the tables held for a reservation with the selected tables in a single transaction
+ * and returns the held tables
+ */
+function holdTables(reservation_id, table_ids) {
+  return db
+    .transaction(async (trx) => {
+      await trx(holdsTableName).where({ reservation_id }).del();
+      await trx(holdsTableName).insert(
+        table_ids.map((table_id) => ({ table_id, reservation_id }))
+      );
+    })
+    .then(() => listHeldTables(reservation_id));
+}
+
+/**
+ * Releases every table held for a reservation
+ */
+function releaseTables(reservation_id) {
+  return db(holdsTableName).where({ reservation_id }).del();
 }
 
-module.exports = { list, create, read, assignReservation, deleteReservation };
+module.exports = {
+  list,
+  listPage,
+  create,
+  read,
+  readMany,
+  update,
+  destroy,
+  listSeatedTables,
+  listSeatedParties,
+  seatReservation,
+  finishReservation,
+  listHolds,
+  listSeated,
+  listHoldsForTables,
+  listHeldTables,
+  holdTables,
+  releaseTables,
+};
@@ -0,0 +1,16 @@
+/**
+ * Shared helper for recording who made a change
+ * There are no staff accounts, so the client names the person making the request in the X-Actor header
+ */
+
+/**
+ * @param req
+ *  the request making the change
+ * @returns
+ *  the name of the person making the change, or null if the request did not say
+ */
+function getActor(req) {
+  return req.get("X-Actor") || null;
+}
+
+module.exports = { getActor };
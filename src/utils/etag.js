@@ -0,0 +1,58 @@
+/**
+ * Shared helpers for optimistic concurrency with ETag and If-Match headers
+ * A row's ETag is its version, which is derived from its updated_at timestamp
+ */
+
+/**
+ * @param row
+ *  a reservation or table with an updated_at timestamp
+ * @returns
+ *  the ETag of the row's current version
+ */
+function toETag({ updated_at }) {
+  return `"${new Date(updated_at).getTime()}"`;
+}
+
+/**
+ * @param req
+ *  the request making the change, which may have an If-Match header
+ * @returns
+ *  the ETags listed in the If-Match header, which the row being changed must match one of
+ *  or null for requests without an If-Match header (or with If-Match: *), which can change any version
+ */
+function getIfMatch(req) {
+  const ifMatch = req.get("If-Match");
+  if (!ifMatch || ifMatch.trim() === "*") return null;
+
+  return ifMatch.split(",").map((etag) => etag.trim().replace(/^W\//, ""));
+}
+
+/**
+ * @param ifMatch
+ *  the ETags of the request's If-Match header, see getIfMatch()
+ * @param row
+ *  the reservation or table being changed, as it currently is in the database
+ * @returns
+ *  true if the request was made against an older version of the row
+ */
+function isStale(ifMatch, row) {
+  return Boolean(ifMatch) && !ifMatch.includes(toETag(row));
+}
+
+/**
+ * @param name
+ *  how the changed row is described, e.g. 'Reservation #1'
+ * @param kind
+ *  what the row is, e.g. 'reservation'
+ * @returns
+ *  an error for a request made against an older version of the row
+ *  Services throw it while the row is locked, to roll back the transaction
+ */
+function staleError(name, kind) {
+  return {
+    status: 412,
+    message: `${name} has been changed since it was loaded. Reload the ${kind} and try again.`,
+  };
+}
+
+module.exports = { toETag, getIfMatch, isStale, staleError };
@@ -0,0 +1,77 @@
+/**
+ * Shared helpers for planning the use of a table on a date
+ * An "occupancy window" is when a party is expected to be at the table,
+ * and a "free gap" is a time the restaurant is open and the table is not expected to be in use
+ */
+const { toMinutes, toTime } = require("./time");
+
+// Turns that run past midnight are shown as ending at midnight
+const END_OF_DAY = 24 * 60;
+
+/**
+ * @param reservations
+ *  the reservations seated at or held on a table for a date, each with a reservation_id, status, reservation_time and duration
+ * @param now
+ *  the current time in minutes since midnight of the date, 0 for future dates and END_OF_DAY for past dates
+ * @returns
+ *  the current and future occupancy windows, in minutes since midnight and sorted by their start
+ *  A party that is still seated is always current, even after its expected turn, which then lasts until now
+ */
+function _getWindows(reservations, now) {
+  return reservations
+    .map(({ reservation_id, status, reservation_time, duration }) => {
+      const start = toMinutes(reservation_time);
+      const end = Math.min(
+        status === "seated"
+          ? Math.max(start + duration, now)
+          : start + duration,
+        END_OF_DAY
+      );
+      return { reservation_id, status, start, end };
+    })
+    .filter(({ status, end }) => status === "seated" || end > now)
+    .sort((window, other) => window.start - other.start);
+}
+
+/**
+ * @param reservations
+ *  the reservations seated at or held on a table for a date, see _getWindows()
+ * @param serviceWindows
+ *  the operating hours windows of the date, see getWindowsForDate() in ./schedule
+ * @param now
+ *  the current time in minutes since midnight of the date, 0 for future dates and END_OF_DAY for past dates
+ * @returns
+ *  { occupancy, free_gaps }, the occupancy windows and the free gaps of the table from now on
+ *  each with a start and end time (HH:MM), and free gaps with their length in minutes
+ */
+function getOccupancy(reservations, serviceWindows, now) {
+  const windows = _getWindows(reservations, now);
+
+  const free_gaps = [];
+  for (let serviceWindow of serviceWindows) {
+    const close = toMinutes(serviceWindow.close_time);
+    let free = Math.max(toMinutes(serviceWindow.open_time), now);
+
+    for (let { start, end } of windows) {
+      if (start > free && free < close)
+        free_gaps.push({ start: free, end: Math.min(start, close) });
+      free = Math.max(free, end);
+    }
+    if (free < close) free_gaps.push({ start: free, end: close });
+  }
+
+  return {
+    occupancy: windows.map(({ start, end, ...window }) => ({
+      ...window,
+      start: toTime(start),
+      end: toTime(end),
+    })),
+    free_gaps: free_gaps.map(({ start, end }) => ({
+      start: toTime(start),
+      end: toTime(end),
+      minutes: end - start,
+    })),
+  };
+}
+
+module.exports = { END_OF_DAY, getOccupancy };
@@ -0,0 +1,50 @@
+/**
+ * Shared helpers for pacing how many parties and covers arrive in each reservation slot
+ */
+const { toMinutes } = require("./time");
+const { SLOT_INTERVAL } = require("./schedule");
+
+/**
+ * @param window
+ *  the operating hours window the time belongs to
+ * @param time
+ *  a reservation time
+ * @returns
+ *  the start of the slot the time arrives in, in minutes since midnight
+ *  Slots are counted from the opening of the window
+ */
+function getSlotStart(window, time) {
+  const open = toMinutes(window.open_time);
+  return (
+    open + Math.floor((toMinutes(time) - open) / SLOT_INTERVAL) * SLOT_INTERVAL
+  );
+}
+
+/**
+ * @param pacingRule
+ *  the pacing rule for the window's service, if there is one
+ * @param reservations
+ *  the booked and seated reservations already on the date being booked
+ * @param window
+ *  the operating hours window being booked
+ * @param reservation
+ *  the reservation being booked, with a reservation_time and people
+ * @returns
+ *  true if the party can arrive in its slot without going over the service's max_parties or max_covers
+ */
+function isWithinPacing(pacingRule, reservations, window, reservation) {
+  if (!pacingRule) return true;
+
+  const slot = getSlotStart(window, reservation.reservation_time);
+  const arriving = reservations.filter(
+    ({ reservation_time }) => getSlotStart(window, reservation_time) === slot
+  );
+  const covers = arriving.reduce((total, { people }) => total + people, 0);
+
+  const { max_parties, max_covers } = pacingRule;
+  if (max_parties && arriving.length + 1 > max_parties) return false;
+  if (max_covers && covers + reservation.people > max_covers) return false;
+  return true;
+}
+
+module.exports = { getSlotStart, isWithinPacing };
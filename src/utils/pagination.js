@@ -0,0 +1,124 @@
+/**
+ * Shared helpers for the page, limit, sort and fields queries of list endpoints
+ * e.g. GET /reservations?page=2&limit=20&sort=-reservation_date,reservation_time&fields=reservation_id,first_name
+ * Lists are only split into pages when a page or limit query is given, otherwise every item is listed
+ */
+
+const { DEFAULT_PAGE_SIZE = 50, MAX_PAGE_SIZE = 200 } = process.env;
+
+/**
+ * @param query
+ *  the request's queries
+ * @param sortable
+ *  the fields the list can be sorted on
+ * @param selectable
+ *  the fields that can be selected from each item in the list
+ * @returns
+ *  { page, fields }, where page is the { page, limit, sort } for paginate() and fields is null when every field is selected
+ *  The limit is null when neither page nor limit is given, so the whole list is returned
+ *  or an error for next() if any of the queries is not valid
+ */
+function parsePageQueries(query, sortable, selectable) {
+  const paginated = query.page !== undefined || query.limit !== undefined;
+  const {
+    page = "1",
+    limit = String(DEFAULT_PAGE_SIZE),
+    sort = "",
+    fields = "",
+  } = query;
+  const invalid = (message) => ({ error: { status: 400, message } });
+
+  if (!/^\d+$/.test(page) || Number(page) < 1)
+    return invalid(
+      `The page query (${page}) must be a whole number that is 1 or greater.`
+    );
+
+  if (
+    !/^\d+$/.test(limit) ||
+    Number(limit) < 1 ||
+    Number(limit) > Number(MAX_PAGE_SIZE)
+  )
+    return invalid(
+      `The limit query (${limit}) must be a whole number from 1 to ${MAX_PAGE_SIZE}.`
+    );
+
+  if (typeof sort !== "string" || typeof fields !== "string")
+    return invalid(`The sort and fields queries must each be given once.`);
+
+  // A field starting with '-' is sorted in descending order
+  const sortFields = sort
+    .split(",")
+    .filter(Boolean)
+    .map((field) =>
+      field.startsWith("-")
+        ? { field: field.slice(1), direction: "desc" }
+        : { field, direction: "asc" }
+    );
+  const unsortable = sortFields.filter(
+    ({ field }) => !sortable.includes(field)
+  );
+  if (unsortable.length)
+    return invalid(
+      `The sort query cannot sort on '${unsortable
+        .map(({ field }) => field)
+        .join("', '")}'. Sort on any of: ${sortable.join(", ")}`
+    );
+
+  const selectedFields = fields.split(",").filter(Boolean);
+  const unselectable = selectedFields.filter(
+    (field) => !selectable.includes(field)
+  );
+  if (unselectable.length)
+    return invalid(
+      `The fields query cannot select '${unselectable.join(
+        "', '"
+      )}'. Select any of: ${selectable.join(", ")}`
+    );
+
+  return {
+    page: {
+      page: Number(page),
+      limit: paginated ? Number(limit) : null,
+      sort: sortFields,
+    },
+    fields: selectedFields.length ? selectedFields : null,
+  };
+}
+
+/**
+ * @returns
+ *  the items with only the selected fields, or the items as they are if every field is selected
+ */
+function selectFields(items, fields) {
+  if (!fields) return items;
+  return items.map((item) =>
+    Object.fromEntries(fields.map((field) => [field, item[field]]))
+  );
+}
+
+/**
+ * Sets the X-Total-Count header to the number of items across every page
+ * and the Link header to the first, previous, next and last pages of the list, when it is split into pages
+ * Every other query of the request is kept in the links
+ */
+function setPageHeaders(req, res, { page, limit }, total) {
+  res.set("X-Total-Count", String(total));
+  if (!limit) return;
+
+  const lastPage = Math.max(Math.ceil(total / limit), 1);
+  const url = new URL(req.originalUrl, `${req.protocol}://${req.get("host")}`);
+  const linkTo = (page, rel) => {
+    url.searchParams.set("page", page);
+    url.searchParams.set("limit", limit);
+    return `<${url}>; rel="${rel}"`;
+  };
+
+  const links = [linkTo(1, "first")];
+  if (page > 1) links.push(linkTo(Math.min(page - 1, lastPage), "prev"));
+  if (page < lastPage) links.push(linkTo(page + 1, "next"));
+  links.push(linkTo(lastPage, "last"));
+
+  res.set("Link", links.join(", "));
+}
+
+module.exports = { parsePageQueries, selectFields, setPageHeaders };
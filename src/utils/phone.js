@@ -0,0 +1,42 @@
+/**
+ * Shared helpers for phone numbers
+ * Phone numbers are stored in E.164 format, e.g. '+18005551212', so they can be compared no matter how they were typed in
+ * Guests are identified by their phone number
+ */
+
+// The country code of numbers typed in without one
+const { DEFAULT_COUNTRY_CODE = "1" } = process.env;
+
+// A national number is assumed to have 10 digits, as it does in the North American Numbering Plan
+const NATIONAL_NUMBER_LENGTH = 10;
+
+/**
+ * @param value
+ *  a phone number, or part of one, as it was typed in
+ * @returns
+ *  only its digits, e.g. '8005551212' for '(800) 555-1212'
+ */
+function toDigits(value = "") {
+  return String(value).replace(/\D/g, "");
+}
+
+/**
+ * @param mobile_number
+ *  a phone number as it was typed in, e.g. '(800) 555-1212', '800.555.1212' or '+1 800 555 1212'
+ * @returns
+ *  the phone number in E.164 format, e.g. '+18005551212'
+ *  or null if it is not a valid phone number
+ */
+function normalizePhone(mobile_number = "") {
+  const typed = String(mobile_number).trim();
+  let digits = toDigits(typed);
+
+  if (typed.startsWith("00")) digits = digits.slice(2);
+  else if (!typed.startsWith("+") && digits.length === NATIONAL_NUMBER_LENGTH)
+    digits = DEFAULT_COUNTRY_CODE + digits;
+
+  const e164 = `+${digits}`;
+  return /^\+[1-9]\d{7,14}$/.test(e164) ? e164 : null;
+}
+
+module.exports = { toDigits, normalizePhone };
@@ -0,0 +1,98 @@
+/**
+ * Shared helpers for deciding when the restaurant takes reservations
+ * A "window" is an operating hours row (see /settings/hours), or the special hours of a special date
+ */
+const { DAY_NAMES, toMinutes, toTime } = require("./time");
+
+// Reservations are offered every 15 minutes, starting at the opening of each service
+const SLOT_INTERVAL = 15;
+
+/**
+ * @param hours
+ *  the list of every operating hours window
+ * @returns
+ *  an object who's keys are the dayNumber of every day without any operating hours
+ *  and who's values are the string for the day, such as "Tuesday"
+ */
+function getClosedDays(hours) {
+  return DAY_NAMES.reduce((closedDays, dayName, dayNumber) => {
+    if (!hours.some(({ day_of_week }) => day_of_week === dayNumber))
+      closedDays[dayNumber] = dayName;
+    return closedDays;
+  }, {});
+}
+
+/**
+ * @param window
+ *  an operating hours window
+ * @returns
+ *  the last time reservations can be seated for that window, in minutes since midnight
+ */
+function getLastSeating({ close_time, last_seating_offset }) {
+  return toMinutes(close_time) - last_seating_offset;
+}
+
+/**
+ * @param windows
+ *  the operating hours windows for a single day
+ * @param time
+ *  the time string being checked
+ * @returns
+ *  the window that is taking reservations at that time, or undefined if there is none
+ */
+function findServiceWindow(windows, time) {
+  const minutes = toMinutes(time);
+  return windows.find(
+    (window) =>
+      minutes >= toMinutes(window.open_time) &&
+      minutes <= getLastSeating(window)
+  );
+}
+
+/**
+ * @param hours
+ *  the list of every operating hours window
+ * @param date
+ *  the Date being booked
+ * @param specialDate
+ *  the special date for that day, if there is one
+ * @returns
+ *  the windows the restaurant is taking reservations in on that day
+ *  A special date replaces the weekly hours: blackouts have no windows, special hours have exactly one
+ */
+function getWindowsForDate(hours, date, specialDate) {
+  if (!specialDate)
+    return hours.filter(({ day_of_week }) => day_of_week === date.getDay());
+  if (specialDate.closed) return [];
+  return [{ service_name: specialDate.description, ...specialDate }];
+}
+
+/**
+ * @param windows
+ *  the operating hours windows for a single day
+ * @returns
+ *  every reservation time (HH:MM) offered in those windows, along with the window it belongs to
+ */
+function getSlots(windows) {
+  const slots = [];
+  for (let window of windows) {
+    const lastSeating = getLastSeating(window);
+    for (
+      let minutes = toMinutes(window.open_time);
+      minutes <= lastSeating;
+      minutes += SLOT_INTERVAL
+    ) {
+      slots.push({ reservation_time: toTime(minutes), window });
+    }
+  }
+  return slots;
+}
+
+module.exports = {
+  SLOT_INTERVAL,
+  getClosedDays,
+  getLastSeating,
+  findServiceWindow,
+  getWindowsForDate,
+  getSlots,
+};
@@ -0,0 +1,270 @@
+/**
+ * Shared helpers for deciding whether parties fit the restaurant's table inventory
+ */
+const { toMinutes } = require("./time");
+
+// The attributes a table can have, which guests can prefer or require
+const TABLE_ATTRIBUTES = [
+  "outdoor",
+  "booth",
+  "high_top",
+  "accessible",
+  "window",
+];
+
+// How long a party is expected to keep its table by default, in minutes
+// Each entry applies to parties of up to max_people, larger parties use the last entry
+const DEFAULT_DURATIONS = [
+  { max_people: 2, duration: 75 },
+  { max_people: 4, duration: 90 },
+  { max_people: 6, duration: 120 },
+  { max_people: Infinity, duration: 150 },
+];
+
+/**
+ * @param people
+ *  the number of people in the party
+ * @returns
+ *  the default number of minutes a party of that size keeps its table
+ */
+function getDefaultDuration(people) {
+  return DEFAULT_DURATIONS.find(({ max_people }) => people <= max_people)
+    .duration;
+}
+
+/**
+ * @param attributes
+ *  a list of table attributes, from a table or a reservation's seating preferences/requirements
+ * @returns
+ *  true if the list only has known table attributes, each listed once
+ */
+function isValidAttributeList(attributes) {
+  return (
+    Array.isArray(attributes) &&
+    attributes.every((attribute) => TABLE_ATTRIBUTES.includes(attribute)) &&
+    new Set(attributes).size === attributes.length
+  );
+}
+
+/**
+ * @param tables
+ *  the tables a party would be seated at
+ * @param attributes
+ *  the attributes the party is asking for
+ * @returns
+ *  the attributes that the tables do not have
+ *  When tables are combined, every one of them must have the attribute
+ */
+function getMissingAttributes(tables, attributes = []) {
+  return attributes.filter(
+    (attribute) =>
+      !tables.every((table) => (table.attributes || []).includes(attribute))
+  );
+}
+
+/**
+ * @param tables
+ *  the tables available to seat the parties
+ * @param parties
+ *  the number of people in each party that needs a table at the same time
+ * @returns
+ *  true if every party can be given its own table, or its own set of combined tables
+ *  The largest parties are seated first, each at the smallest free table that fits them
+ *  A party too large for any single free table is seated at the largest free tables pushed together
+ */
+function canSeatParties(tables, parties) {
+  const capacities = tables
+    .map(({ capacity }) => capacity)
+    .sort((a, b) => a - b);
+
+  return [...parties]
+    .sort((a, b) => b - a)
+    .every((people) => {
+      const index = capacities.findIndex((capacity) => capacity >= people);
+      if (index !== -1) {
+        capacities.splice(index, 1);
+        return true;
+      }
+
+      let seats = 0;
+      while (seats < people && capacities.length) seats += capacities.pop();
+      return seats >= people;
+    });
+}
+
+/**
+ * @param reservation
+ *  a reservation with a reservation_time and duration
+ * @returns
+ *  the start and end of the reservation's turn, in minutes since midnight
+ */
+function getTurn({ reservation_time, duration }) {
+  const start = toMinutes(reservation_time);
+  return { start, end: start + duration };
+}
+
+/**
+ * @param reservation
+ *  a reservation with a reservation_time and duration
+ * @param other
+ *  another reservation on the same date, with a reservation_time and duration
+ * @returns
+ *  true if both reservations would be at their tables at the same time
+ */
+function turnsOverlap(reservation, other) {
+  const turn = getTurn(reservation);
+  const otherTurn = getTurn(other);
+  return turn.start < otherTurn.end && otherTurn.start < turn.end;
+}
+
+/**
+ * @param tables
+ *  the tables available to seat the parties
+ * @param reservations
+ *  the booked and seated reservations already on the date being booked
+ * @param reservation
+ *  the reservation being booked, with a reservation_time, duration and people
+ * @returns
+ *  true if the tables can seat the reservation for its entire turn
+ *  The parties at the restaurant only change when a turn starts, so each start during the new turn is checked
+ */
+function canSeatReservation(tables, reservations, reservation) {
+  const turn = getTurn(reservation);
+  const overlapping = reservations
+    .map((other) => ({ ...getTurn(other), people: other.people }))
+    .filter(({ start, end }) => start < turn.end && turn.start < end);
+
+  const moments = [
+    turn.start,
+    ...overlapping
+      .map(({ start }) => start)
+      .filter((start) => start > turn.start),
+  ];
+
+  return moments.every((moment) =>
+    canSeatParties(tables, [
+      reservation.people,
+      ...overlapping
+        .filter(({ start, end }) => start <= moment && moment < end)
+        .map(({ people }) => people),
+    ])
+  );
+}
+
+/**
+ * @param tables
+ *  the tables being suggested together
+ * @param people
+ *  the number of people in the party
+ * @returns
+ *  a table suggestion, with the ids of the tables, their combined capacity and the number of seats left empty
+ */
+function _toSuggestion(tables, people) {
+  const capacity = tables.reduce((total, table) => total + table.capacity, 0);
+  return {
+    table_ids: tables.map(({ table_id }) => table_id),
+    tables,
+    capacity,
+    empty_seats: capacity - people,
+  };
+}
+
+/**
+ * @param parties
+ *  the parties currently seated, each with its reservation_id, the section_id it is seated in and its people
+ * @param assignments
+ *  the server assignments of the current shift, each with a section_id and server_name
+ * @returns
+ *  the number of people (covers) currently seated with the server of each section, keyed by section_id
+ *  A server covering several sections has the covers of all of them, and sections without a server are left out
+ */
+function getServerCovers(parties, assignments) {
+  const serverOf = Object.fromEntries(
+    assignments.map(({ section_id, server_name }) => [section_id, server_name])
+  );
+
+  // A party seated at combined tables in two sections of the same server is only counted once
+  const counted = new Set();
+  const covers = {};
+  for (let { reservation_id, section_id, people } of parties) {
+    const server = serverOf[section_id];
+    if (server === undefined || counted.has(`${server}:${reservation_id}`))
+      continue;
+    counted.add(`${server}:${reservation_id}`);
+    covers[server] = (covers[server] || 0) + people;
+  }
+
+  return Object.fromEntries(
+    Object.entries(serverOf).map(([section_id, server]) => [
+      section_id,
+      covers[server] || 0,
+    ])
+  );
+}
+
+/**
+ * @param tables
+ *  every table in the restaurant
+ * @param reservation
+ *  the party being seated, with its people and any seating_preferences and seating_requirements
+ * @param serverCovers
+ *  the number of people currently seated with the server of each section, keyed by section_id, see getServerCovers()
+ * @returns
+ *  the free tables that can seat the party, ranked from best to worst fit
+ *  Tables missing any of the party's seating requirements are never suggested
+ *  The best fit is the smallest table that fits, leaving the fewest empty seats
+ *  Between tables of the same size, the table with the most of the party's seating preferences comes first,
+ *  then the table whose server has the fewest covers, so that parties are spread evenly across the servers
+ *  Tables in sections without a server on shift, or without a section, come after every table with a server
+ *  If no single free table fits, the largest free tables are suggested pushed together
+ */
+function suggestTables(tables, reservation, serverCovers = {}) {
+  const {
+    people,
+    seating_preferences = [],
+    seating_requirements = [],
+  } = reservation;
+  const freeTables = tables.filter(
+    (table) =>
+      !table.occupied &&
+      !getMissingAttributes([table], seating_requirements).length
+  );
+  const coversOf = ({ section_id }) =>
+    section_id in serverCovers ? serverCovers[section_id] : Infinity;
+  const missingOf = (table) =>
+    getMissingAttributes([table], seating_preferences).length;
+
+  const suggestions = freeTables
+    .filter(({ capacity }) => capacity >= people)
+    .sort(
+      (a, b) =>
+        a.capacity - b.capacity ||
+        missingOf(a) - missingOf(b) ||
+        coversOf(a) - coversOf(b) ||
+        a.table_name.localeCompare(b.table_name)
+    )
+    .map((table) => _toSuggestion([table], people));
+  if (suggestions.length) return suggestions;
+
+  const combined = [];
+  let seats = 0;
+  for (let table of [...freeTables].sort((a, b) => b.capacity - a.capacity)) {
+    if (seats >= people) break;
+    combined.push(table);
+    seats += table.capacity;
+  }
+  return seats >= people ? [_toSuggestion(combined, people)] : [];
+}
+
+module.exports = {
+  TABLE_ATTRIBUTES,
+  DEFAULT_DURATIONS,
+  getDefaultDuration,
+  isValidAttributeList,
+  getMissingAttributes,
+  canSeatParties,
+  canSeatReservation,
+  turnsOverlap,
+  getServerCovers,
+  suggestTables,
+};
@@ -0,0 +1,81 @@
+/**
+ * Shared helpers for working with the "HH:MM" and "HH:MM:SS" time strings
+ * stored in the database, and the weekday numbers returned by Date.getDay()
+ */
+
+// 0 is Sunday -- 6 is Saturday, matching Date.getDay()
+const DAY_NAMES = [
+  "Sunday",
+  "Monday",
+  "Tuesday",
+  "Wednesday",
+  "Thursday",
+  "Friday",
+  "Saturday",
+];
+
+/**
+ * Returns true if the value is a valid 24 hour time in the format of HH:MM or HH:MM:SS
+ */
+function isValidTime(time) {
+  return (
+    typeof time === "string" &&
+    /^([01]\d|2[0-3]):[0-5]\d(:[0-5]\d)?$/.test(time)
+  );
+}
+
+/**
+ * Converts a time string into the number of minutes since midnight
+ */
+function toMinutes(time) {
+  const [hours, minutes] = time.split(":").map(Number);
+  return hours * 60 + minutes;
+}
+
+/**
+ * Converts a number of minutes since midnight into an HH:MM time string
+ */
+function toTime(minutes) {
+  const hours = Math.floor(minutes / 60);
+  return `${String(hours).padStart(2, "0")}:${String(minutes % 60).padStart(
+    2,
+    "0"
+  )}`;
+}
+
+/**
+ * Converts a Date into a YYYY-MM-DD date string in local time
+ * Postgres date columns are returned as Dates at local midnight
+ */
+function toDateString(date) {
+  return [
+    date.getFullYear(),
+    String(date.getMonth() + 1).padStart(2, "0"),
+    String(date.getDate()).padStart(2, "0"),
+  ].join("-");
+}
+
+/**
+ * Lists every YYYY-MM-DD date from one date to another, both included
+ * The list is empty if the first date is after the last
+ */
+function listDates(from, to) {
+  const dates = [];
+  const last = new Date(`${to}T00:00:00Z`);
+  for (
+    let date = new Date(`${from}T00:00:00Z`);
+    date <= last;
+    date.setUTCDate(date.getUTCDate() + 1)
+  )
+    dates.push(date.toISOString().slice(0, 10));
+  return dates;
+}
+
+module.exports = {
+  DAY_NAMES,
+  isValidTime,
+  toMinutes,
+  toTime,
+  toDateString,
+  listDates,
+};
@@ -0,0 +1,277 @@
+const asyncErrorBoundary = require("../errors/asyncErrorBoundary");
+const service = require("./waitlist.service");
+const tablesService = require("../tables/tables.service");
+const tablesController = require("../tables/tables.controller");
+const { toDateString, toTime } = require("../utils/time");
+const { getDefaultDuration } = require("../utils/seating");
+const { getActor } = require("../utils/actor");
+const { normalizePhone } = require("../utils/phone");
+
+const REQUIRED_PROPERTIES = [
+  "first_name",
+  "last_name",
+  "mobile_number",
+  "people",
+];
+const VALID_PROPERTIES = [...REQUIRED_PROPERTIES, "quoted_wait"];
+
+/**
+ * Middleware validation for request bodies
+ * Ensures the request body has all the necessary properties before proceeding
+ * Then also ensures all of the required data is of the correct data type
+ */
+function bodyHasAllRequiredFields(req, res, next) {
+  const { data = {} } = req.body;
+
+  for (let property of REQUIRED_PROPERTIES) {
+    if (!data[property])
+      return next({
+        status: 400,
+        message: `The data in the request body requires a ${property} field.`,
+      });
+  }
+
+  // Validate that the phone number is a valid phone number, and store it in E.164 format
+  const mobile_number = normalizePhone(data.mobile_number);
+  if (!mobile_number)
+    return next({
+      status: 400,
+      message: `The mobile_number property (${data.mobile_number}) must be a valid phone number.`,
+    });
+  data.mobile_number = mobile_number;
+
+  if (!Number.isInteger(data.people) || data.people < 1)
+    return next({
+      status: 400,
+      message: `The people property (${data.people}) must be a whole number that is 1 or greater.`,
+    });
+
+  const { quoted_wait = null } = data;
+  if (
+    quoted_wait !== null &&
+    (!Number.isInteger(quoted_wait) || quoted_wait < 0)
+  )
+    return next({
+      status: 400,
+      message: `The quoted_wait property (${quoted_wait}) must be a whole number of minutes that is 0 or greater.`,
+    });
+
+  res.locals.newEntry = data;
+  return next();
+}
+
+/**
+ * Middleware validation for request bodies
+ * Ensures the request body only has properties that are allowed before proceeding
+ * Parties always join the waitlist as 'waiting'
+ */
+function bodyHasNoInvalidFields(req, res, next) {
+  const { newEntry } = res.locals;
+  const invalidFields = Object.keys(newEntry).filter(
+    (field) => !VALID_PROPERTIES.includes(field)
+  );
+
+  if (invalidFields.length) {
+    return next({
+      status: 400,
+      message: `Invalid field(s): ${invalidFields.join(", ")}`,
+    });
+  }
+  return next();
+}
+
+/**
+ * Middleware validation for request parameters
+ * Ensures that the waitlist_id param corresponds to a valid waitlist entry
+ */
+async function entryExists(req, res, next) {
+  const { waitlist_id } = req.params;
+  const entry = await service.read(waitlist_id);
+
+  if (!entry)
+    return next({
+      status: 404,
+      message: `Waitlist entry ${waitlist_id} cannot be found.`,
+    });
+
+  res.locals.entry = entry;
+  return next();
+}
+
+/**
+ * Middleware validation to make sure the party is still waiting for a table
+ * Parties that have been seated or have left the waitlist are archived
+ */
+function entryIsActive(req, res, next) {
+  const { entry } = res.locals;
+  if (!service.ACTIVE_STATUSES.includes(entry.status))
+    return next({
+      status: 400,
+      message: `Waitlist entry #${entry.waitlist_id} is '${entry.status}', and is no longer on the waitlist.`,
+    });
+  return next();
+}
+
+/**
+ * Middleware validation for seating a party from the waitlist
+ * Ensures the request body has a table_id, and that the table exists
+ * The party is described as the walk-in reservation it will become, for the current date and time,
+ * so it is then checked the same way as seating any other reservation, see tablesController.seatingChecks
+ */
+async function hasTable(req, res, next) {
+  const { data: { table_id } = {} } = req.body;
+  const { entry } = res.locals;
+
+  if (!table_id)
+    return next({
+      status: 400,
+      message: `The data in the request body requires a table_id property.`,
+    });
+
+  if (!Number.isInteger(table_id))
+    return next({
+      status: 400,
+      message: `The table_id property (${table_id}) must be a table id.`,
+    });
+
+  const table = await tablesService.read(table_id);
+  if (!table)
+    return next({ status: 404, message: `Table ${table_id} cannot be found.` });
+
+  const { waitlist_id, first_name, last_name, mobile_number, people } = entry;
+  const now = new Date();
+  res.locals.table = table;
+  res.locals.reservation = {
+    waitlist_id,
+    first_name,
+    last_name,
+    mobile_number,
+    people,
+    reservation_date: toDateString(now),
+    reservation_time: toTime(now.getHours() * 60 + now.getMinutes()),
+    duration: getDefaultDuration(people),
+    walk_in: true,
+  };
+  return next();
+}
+
+/**
+ * @param entry
+ *  a waitlist entry
+ * @returns
+ *  the waitlist entry along with its current position in line (1 is next), or null if it is no longer waiting
+ */
+async function _withPosition(entry) {
+  const position = service.ACTIVE_STATUSES.includes(entry.status)
+    ? (await service.countAhead(entry)) + 1
+    : null;
+  return { ...entry, position };
+}
+
+/**
+ * List handler for waitlist resources
+ * Lists every party still waiting, in order, with their position in line
+ */
+async function list(req, res) {
+  const entries = await service.list();
+  const data = entries.map((entry, index) => ({
+    ...entry,
+    position: index + 1,
+  }));
+  res.json({ data });
+}
+
+/**
+ * Create handler for a party joining the waitlist
+ */
+async function create(req, res) {
+  const { newEntry } = res.locals;
+  const entry = await service.create(newEntry);
+  const data = await _withPosition(entry);
+  res.status(201).json({ data });
+}
+
+/**
+ * Read handler for reading a specified waitlist entry
+ */
+async function read(req, res) {
+  const data = await _withPosition(res.locals.entry);
+  res.json({ data });
+}
+
+/**
+ * Update handler for letting a party know their table is almost ready
+ * A party can be notified again, which updates notified_at
+ */
+async function notify(req, res) {
+  const { waitlist_id } = res.locals.entry;
+  const entry = await service.update(waitlist_id, {
+    status: "notified",
+    notified_at: new Date(),
+  });
+  const data = await _withPosition(entry);
+  res.json({ data });
+}
+
+/**
+ * Delete handler for a party leaving the waitlist
+ * Despite being called a delete, the entry is kept with a status of 'left'
+ */
+async function leave(req, res) {
+  const { waitlist_id } = res.locals.entry;
+  const entry = await service.update(waitlist_id, { status: "left" });
+  const data = await _withPosition(entry);
+  res.json({ data });
+}
+
+/**
+ * Update handler for seating a party from the waitlist
+ * The party is recorded as a walk-in reservation for the current date and time,
+ * which is then seated at the table (and any combined tables) the same way as any other reservation
+ * Everything happens in a single transaction, see service.seat()
+ * and the table from the request body is returned along with any warnings about tables held for reservations
+ */
+async function seat(req, res) {
+  const { reservation, table, tables, warnings } = res.locals;
+  const { waitlist_id, ...walkIn } = reservation;
+
+  const seated = await service.seat(
+    waitlist_id,
+    walkIn,
+    tables.map(({ table_id }) => table_id),
+    getActor(req)
+  );
+
+  const data = {
+    ...(await _withPosition(seated.entry)),
+    table: seated.tables.find(({ table_id }) => table_id === table.table_id),
+  };
+  res.json({ data, warnings });
+}
+
+module.exports = {
+  list: asyncErrorBoundary(list),
+  create: [
+    bodyHasAllRequiredFields,
+    bodyHasNoInvalidFields,
+    asyncErrorBoundary(create),
+  ],
+  read: [asyncErrorBoundary(entryExists), asyncErrorBoundary(read)],
+  notify: [
+    asyncErrorBoundary(entryExists),
+    entryIsActive,
+    asyncErrorBoundary(notify),
+  ],
+  leave: [
+    asyncErrorBoundary(entryExists),
+    entryIsActive,
+    asyncErrorBoundary(leave),
+  ],
+  seat: [
+    asyncErrorBoundary(entryExists),
+    entryIsActive,
+    asyncErrorBoundary(hasTable),
+    ...tablesController.seatingChecks,
+    asyncErrorBoundary(seat),
+  ],
+};
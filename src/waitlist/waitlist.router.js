@@ -0,0 +1,34 @@
+/**
+ * Defines the router for waitlist resources.
+ *
+ * @type {Router}
+ */
+
+const router = require("express").Router();
+const controller = require("./waitlist.controller");
+const methodNotAllowed = require("../errors/methodNotAllowed");
+const idempotent = require("../idempotency/idempotent");
+
+router
+  .route("/")
+  .get(controller.list)
+  .post(controller.create)
+  .all(methodNotAllowed);
+
+router
+  .route("/:waitlist_id")
+  .get(controller.read)
+  .delete(controller.leave)
+  .all(methodNotAllowed);
+
+router
+  .route("/:waitlist_id/notify")
+  .put(controller.notify)
+  .all(methodNotAllowed);
+
+router
+  .route("/:waitlist_id/seat")
+  .put(idempotent, controller.seat)
+  .all(methodNotAllowed);
+
+module.exports = router;
@@ -0,0 +1,116 @@
+const db = require("../db/connection");
+const reservationsService = require("../reservations/reservations.service");
+const tablesService = require("../tables/tables.service");
+const tableName = "waitlist";
+
+// Parties that are still waiting for a table
+const ACTIVE_STATUSES = ["waiting", "notified"];
+
+/**
+ * List query fetches every party still on the waitlist
+ * Sorted by the time they joined, which is their position in line
+ */
+function list() {
+  return db(tableName)
+    .select("*")
+    .whereIn("status", ACTIVE_STATUSES)
+    .orderBy([{ column: "created_at" }, { column: "waitlist_id" }]);
+}
+
+/**
+ * Create inserts a new party into the waitlist
+ * and returns the inserted object
+ */
+function create(entry) {
+  return db(tableName)
+    .insert(entry)
+    .returning("*")
+    .then((rows) => rows[0]);
+}
+
+/**
+ * Returns a selected waitlist entry from the database
+ */
+function read(waitlist_id) {
+  return db(tableName).where({ waitlist_id }).first();
+}
+
+/**
+ * Counts the parties still on the waitlist that joined before the given entry
+ */
+function countAhead({ waitlist_id, created_at }) {
+  return db(tableName)
+    .whereIn("status", ACTIVE_STATUSES)
+    .andWhere((query) =>
+      query
+        .where("created_at", "<", created_at)
+        .orWhere((tie) =>
+          tie
+            .where("created_at", "=", created_at)
+            .andWhere("waitlist_id", "<", waitlist_id)
+        )
+    )
+    .count("waitlist_id")
+    .first()
+    .then(({ count }) => Number(count));
+}
+
+/**
+ * Updates the selected waitlist entry with the given properties
+ * and returns the entire updated object
+ */
+function update(waitlist_id, changes) {
+  return db(tableName)
+    .where({ waitlist_id })
+    .update({ ...changes, updated_at: new Date() }, "*")
+    .then((rows) => rows[0]);
+}
+
+/**
+ * Seats a party from the waitlist in a single transaction
+ * The party's walk-in reservation is created, then seated at the table, then the entry is marked as seated
+ * The entry is locked first, and if another request already seated the party or it left, nothing is changed and a 409 is thrown
+ * The same happens if a table is occupied or retired in the meantime (see tablesService.seatReservation)
+ * and returns the updated entry along with every seated table
+ */
+function seat(waitlist_id, walkIn, table_ids, actor = null) {
+  return db.transaction(async (trx) => {
+    const entry = await trx(tableName)
+      .where({ waitlist_id })
+      .forUpdate()
+      .first();
+    if (!ACTIVE_STATUSES.includes(entry.status))
+      throw {
+        status: 409,
+        message: `Waitlist entry #${waitlist_id} is now '${entry.status}'. It was changed by someone else at the same time, please refresh and try again.`,
+      };
+
+    const reservation = await reservationsService.create(walkIn, actor, trx);
+    const tables = await tablesService.seatReservation(
+      reservation.reservation_id,
+      table_ids,
+      actor,
+      trx
+    );
+    const [seatedEntry] = await trx(tableName).where({ waitlist_id }).update(
+      {
+        status: "seated",
+        seated_at: new Date(),
+        reservation_id: reservation.reservation_id,
+        updated_at: new Date(),
+      },
+      "*"
+    );
+    return { entry: seatedEntry, tables };
+  });
+}
+
+module.exports = {
+  ACTIVE_STATUSES,
+  list,
+  create,
+  read,
+  countAhead,
+  update,
+  seat,
+};
@@ -0,0 +1,144 @@
+const request = require("supertest");
+
+const app = require("../src/app");
+const knex = require("../src/db/connection");
+
+describe("Combined tables for large parties", () => {
+  beforeAll(() => {
+    return knex.migrate
+      .forceFreeMigrationsLock()
+      .then(() => knex.migrate.rollback(null, true))
+      .then(() => knex.migrate.latest());
+  });
+
+  let largeParty;
+  let tableOne;
+  let tableTwo;
+  let barTableOne;
+
+  beforeEach(async () => {
+    await knex.seed.run();
+    [largeParty] = await knex("reservations")
+      .insert({
+        first_name: "Large",
+        last_name: "Party",
+        mobile_number: "800-555-1212",
+        reservation_date: "2030-01-02",
+        reservation_time: "19:00",
+        people: 8,
+      })
+      .returning("*");
+    tableOne = await knex("tables").where("table_name", "#1").first();
+    tableTwo = await knex("tables").where("table_name", "#2").first();
+    barTableOne = await knex("tables").where("table_name", "Bar #1").first();
+  });
+
+  afterAll(async () => {
+    return await knex.migrate.rollback(null, true).then(() => knex.destroy());
+  });
+
+  describe("PUT /tables/:table_id/seat", () => {
+    test("returns 400 if table_ids is not a list", async () => {
+      const response = await request(app)
+        .put(`/tables/${tableOne.table_id}/seat`)
+        .set("Accept", "application/json")
+        .send({
+          data: { reservation_id: largeParty.reservation_id, table_ids: "2" },
+        });
+
+      expect(response.body.error).toContain("table_ids");
+      expect(response.status).toBe(400);
+    });
+
+    test("returns 404 if a combined table does not exist", async () => {
+      const response = await request(app)
+        .put(`/tables/${tableOne.table_id}/seat`)
+        .set("Accept", "application/json")
+        .send({
+          data: { reservation_id: largeParty.reservation_id, table_ids: [99] },
+        });
+
+      expect(response.body.error).toContain("99");
+      expect(response.status).toBe(404);
+    });
+
+    test("returns 400 if the combined capacity is too small", async () => {
+      const response = await request(app)
+        .put(`/tables/${tableOne.table_id}/seat`)
+        .set("Accept", "application/json")
+        .send({
+          data: {
+            reservation_id: largeParty.reservation_id,
+            table_ids: [barTableOne.table_id],
+          },
+        });
+
+      expect(response.body.error).toContain("combined capacity");
+      expect(response.status).toBe(400);
+    });
+
+    test("occupies every combined table", async () => {
+      const response = await request(app)
+        .put(`/tables/${tableOne.table_id}/seat`)
+        .set("Accept", "application/json")
+        .send({
+          data: {
+            reservation_id: largeParty.reservation_id,
+            table_ids: [tableTwo.table_id],
+          },
+        });
+
+      expect(response.body.error).toBeUndefined();
+      expect(response.status).toBe(200);
+
+      const tables = await knex("tables").whereIn("table_id", [
+        tableOne.table_id,
+        tableTwo.table_id,
+      ]);
+      tables.forEach((table) =>
+        expect(table).toEqual(
+          expect.objectContaining({
+            occupied: true,
+            reservation_id: largeParty.reservation_id,
+          })
+        )
+      );
+    });
+  });
+
+  describe("DELETE /tables/:table_id/seat", () => {
+    test("frees every combined table", async () => {
+      await request(app)
+        .put(`/tables/${tableOne.table_id}/seat`)
+        .set("Accept", "application/json")
+        .send({
+          data: {
+            reservation_id: largeParty.reservation_id,
+            table_ids: [tableTwo.table_id],
+          },
+        });
+
+      const response = await request(app)
+        .delete(`/tables/${tableTwo.table_id}/seat`)
+        .set("Accept", "application/json");
+
+      expect(response.body.error).toBeUndefined();
+      expect(response.status).toBe(200);
+
+      const tables = await knex("tables").whereIn("table_id", [
+        tableOne.table_id,
+        tableTwo.table_id,
+      ]);
+      tables.forEach((table) =>
+        expect(table).toEqual(
+          expect.objectContaining({ occupied: false, reservation_id: null })
+        )
+      );
+
+      const reservation = await knex("reservations")
+        .where({ reservation_id: largeParty.reservation_id })
+        .first();
+      expect(reservation.status).toBe("finished");
+    });
+  });
+});
@@ -0,0 +1,101 @@
+const request = require("supertest");
+
+const app = require("../src/app");
+const knex = require("../src/db/connection");
+const tablesService = require("../src/tables/tables.service");
+const { insertReservation } = require("./fixtures");
+
+describe("Concurrent seating and unseating", () => {
+  beforeAll(() => {
+    return knex.migrate
+      .forceFreeMigrationsLock()
+      .then(() => knex.migrate.rollback(null, true))
+      .then(() => knex.migrate.latest());
+  });
+
+  beforeEach(() => {
+    return knex.seed.run();
+  });
+
+  afterAll(async () => {
+    return await knex.migrate.rollback(null, true).then(() => knex.destroy());
+  });
+
+  function seat(table_id, reservation_id) {
+    return request(app)
+      .put(`/tables/${table_id}/seat`)
+      .set("Accept", "application/json")
+      .send({ data: { reservation_id } });
+  }
+
+  describe("tablesService.seatReservation()", () => {
+    test("throws a 409 and changes nothing if a table was occupied in the meantime", async () => {
+      const [first, second] = await Promise.all([
+        insertReservation(),
+        insertReservation(),
+      ]);
+      await tablesService.seatReservation(first.reservation_id, [3]);
+
+      await expect(
+        tablesService.seatReservation(second.reservation_id, [3, 4])
+      ).rejects.toEqual(expect.objectContaining({ status: 409 }));
+
+      const reservation = await knex("reservations")
+        .where({ reservation_id: second.reservation_id })
+        .first();
+      const table = await knex("tables").where({ table_id: 4 }).first();
+      expect(reservation.status).toBe("booked");
+      expect(table.occupied).toBe(false);
+    });
+
+    test("throws a 409 if the reservation was seated in the meantime", async () => {
+      const reservation = await insertReservation();
+      await tablesService.seatReservation(reservation.reservation_id, [3]);
+
+      await expect(
+        tablesService.seatReservation(reservation.reservation_id, [4])
+      ).rejects.toEqual(expect.objectContaining({ status: 409 }));
+    });
+  });
+
+  describe("tablesService.finishReservation()", () => {
+    test("throws a 409 if the reservation was unseated in the meantime", async () => {
+      const reservation = await insertReservation();
+      await tablesService.seatReservation(reservation.reservation_id, [3]);
+      await tablesService.finishReservation(reservation.reservation_id);
+
+      await expect(
+        tablesService.finishReservation(reservation.reservation_id)
+      ).rejects.toEqual(expect.objectContaining({ status: 409 }));
+    });
+  });
+
+  describe("PUT /tables/:table_id/seat", () => {
+    test("only one of two hosts seating the same table at once wins", async () => {
+      const [first, second] = await Promise.all([
+        insertReservation(),
+        insertReservation(),
+      ]);
+
+      const responses = await Promise.all([
+        seat(3, first.reservation_id),
+        seat(3, second.reservation_id),
+      ]);
+
+      const winners = responses.filter(({ status }) => status === 200);
+      const losers = responses.filter(({ status }) => status !== 200);
+      expect(winners).toHaveLength(1);
+      expect([400, 409]).toContain(losers[0].status);
+
+      const seated = await knex("reservations")
+        .whereIn("reservation_id", [
+          first.reservation_id,
+          second.reservation_id,
+        ])
+        .andWhere({ status: "seated" });
+      const table = await knex("tables").where({ table_id: 3 }).first();
+      expect(seated).toHaveLength(1);
+      expect(table.reservation_id).toBe(seated[0].reservation_id);
+    });
+  });
+});
@@ -0,0 +1,179 @@
+const request = require("supertest");
+
+const app = require("../src/app");
+const knex = require("../src/db/connection");
+const { RESERVATION, insertReservation } = require("./fixtures");
+
+describe("ETag and If-Match", () => {
+  beforeAll(() => {
+    return knex.migrate
+      .forceFreeMigrationsLock()
+      .then(() => knex.migrate.rollback(null, true))
+      .then(() => knex.migrate.latest());
+  });
+
+  beforeEach(() => {
+    return knex.seed.run();
+  });
+
+  afterAll(async () => {
+    return await knex.migrate.rollback(null, true).then(() => knex.destroy());
+  });
+
+  function editReservation(reservation_id, data, etag) {
+    const put = request(app)
+      .put(`/reservations/${reservation_id}`)
+      .set("Accept", "application/json");
+    if (etag) put.set("If-Match", etag);
+    return put.send({ data: { ...RESERVATION, status: "booked", ...data } });
+  }
+
+  describe("reservations", () => {
+    test("GET /reservations/:reservation_id returns an ETag", async () => {
+      const { reservation_id } = await insertReservation();
+
+      const response = await request(app)
+        .get(`/reservations/${reservation_id}`)
+        .set("Accept", "application/json");
+
+      expect(response.headers.etag).toMatch(/^"\d+"$/);
+    });
+
+    test("PUT /reservations/:reservation_id returns 200 and a new ETag with a current If-Match", async () => {
+      const { reservation_id } = await insertReservation();
+      const loaded = await request(app)
+        .get(`/reservations/${reservation_id}`)
+        .set("Accept", "application/json");
+
+      const response = await editReservation(
+        reservation_id,
+        { people: 3 },
+        loaded.headers.etag
+      );
+
+      expect(response.body.error).toBeUndefined();
+      expect(response.status).toBe(200);
+      expect(response.headers.etag).not.toBe(loaded.headers.etag);
+    });
+
+    test("PUT /reservations/:reservation_id returns 412 with a stale If-Match", async () => {
+      const { reservation_id } = await insertReservation();
+      const loaded = await request(app)
+        .get(`/reservations/${reservation_id}`)
+        .set("Accept", "application/json");
+      await editReservation(reservation_id, { people: 3 }, loaded.headers.etag);
+
+      const response = await editReservation(
+        reservation_id,
+        { people: 4 },
+        loaded.headers.etag
+      );
+
+      expect(response.body.error).toContain("changed");
+      expect(response.status).toBe(412);
+      const stored = await knex("reservations")
+        .where({ reservation_id })
+        .first();
+      expect(stored.people).toBe(3);
+    });
+
+    test("PUT /reservations/:reservation_id/status returns 412 with a stale If-Match", async () => {
+      const { reservation_id } = await insertReservation();
+      const loaded = await request(app)
+        .get(`/reservations/${reservation_id}`)
+        .set("Accept", "application/json");
+      await editReservation(reservation_id, { people: 3 });
+
+      const response = await request(app)
+        .put(`/reservations/${reservation_id}/status`)
+        .set("Accept", "application/json")
+        .set("If-Match", loaded.headers.etag)
+        .send({ data: { status: "cancelled" } });
+
+      expect(response.status).toBe(412);
+    });
+
+    test("PUT /reservations/:reservation_id lets only one of two edits made at the same time with the same If-Match through", async () => {
+      const { reservation_id } = await insertReservation();
+      const loaded = await request(app)
+        .get(`/reservations/${reservation_id}`)
+        .set("Accept", "application/json");
+
+      const responses = await Promise.all([
+        editReservation(reservation_id, { people: 3 }, loaded.headers.etag),
+        editReservation(reservation_id, { people: 4 }, loaded.headers.etag),
+      ]);
+
+      expect(responses.map(({ status }) => status).sort()).toEqual([200, 412]);
+      const stored = await knex("reservations")
+        .where({ reservation_id })
+        .first();
+      const saved = responses.find(({ status }) => status === 200);
+      expect(stored.people).toBe(saved.body.data.people);
+    });
+  });
+
+  describe("tables", () => {
+    test("PUT /tables/:table_id/seat returns 412 if the table changed since it was loaded", async () => {
+      const first = await insertReservation();
+      const second = await insertReservation();
+      const loaded = await request(app)
+        .get("/tables/3")
+        .set("Accept", "application/json");
+      await request(app)
+        .put("/tables/3/seat")
+        .set("Accept", "application/json")
+        .send({ data: { reservation_id: first.reservation_id } });
+      await request(app)
+        .delete("/tables/3/seat")
+        .set("Accept", "application/json");
+
+      const response = await request(app)
+        .put("/tables/3/seat")
+        .set("Accept", "application/json")
+        .set("If-Match", loaded.headers.etag)
+        .send({ data: { reservation_id: second.reservation_id } });
+
+      expect(response.body.error).toContain("changed");
+      expect(response.status).toBe(412);
+    });
+
+    test("PUT /tables/:table_id/seat returns 200 with a current If-Match", async () => {
+      const { reservation_id } = await insertReservation();
+      const loaded = await request(app)
+        .get("/tables/3")
+        .set("Accept", "application/json");
+
+      const response = await request(app)
+        .put("/tables/3/seat")
+        .set("Accept", "application/json")
+        .set("If-Match", loaded.headers.etag)
+        .send({ data: { reservation_id } });
+
+      expect(response.body.error).toBeUndefined();
+      expect(response.status).toBe(200);
+      expect(response.headers.etag).not.toBe(loaded.headers.etag);
+    });
+
+    test("PATCH /tables/:table_id lets only one of two edits made at the same time with the same If-Match through", async () => {
+      const loaded = await request(app)
+        .get("/tables/3")
+        .set("Accept", "application/json");
+
+      const responses = await Promise.all(
+        ["Patio", "Window"].map((table_name) =>
+          request(app)
+            .patch("/tables/3")
+            .set("Accept", "application/json")
+            .set("If-Match", loaded.headers.etag)
+            .send({ data: { table_name } })
+        )
+      );
+
+      expect(responses.map(({ status }) => status).sort()).toEqual([200, 412]);
+      const stored = await knex("tables").where({ table_id: 3 }).first();
+      const saved = responses.find(({ status }) => status === 200);
+      expect(stored.table_name).toBe(saved.body.data.table_name);
+    });
+  });
+});
@@ -0,0 +1,57 @@
+const request = require("supertest");
+
+const app = require("../src/app");
+const knex = require("../src/db/connection");
+
+/**
+ * Shared test data for the tests that create reservations of their own
+ * Each test only passes the fields that matter to it, on top of RESERVATION
+ */
+
+// A party of 2 on a future date, during opening hours
+const RESERVATION = {
+  first_name: "first",
+  last_name: "last",
+  mobile_number: "+18005551212",
+  reservation_date: "2030-01-02",
+  reservation_time: "19:00",
+  people: 2,
+};
+
+/**
+ * Inserts a reservation straight into the database, without the validation of POST /reservations
+ * and returns the inserted reservation
+ */
+function insertReservation(data = {}) {
+  return knex("reservations")
+    .insert({ ...RESERVATION, ...data })
+    .returning("*")
+    .then((rows) => rows[0]);
+}
+
+/**
+ * Creates a reservation with POST /reservations, along with any headers (e.g. X-Actor)
+ * and returns the response
+ */
+function postReservation(data = {}, headers = {}) {
+  const post = request(app)
+    .post("/reservations")
+    .set("Accept", "application/json");
+  for (let [name, value] of Object.entries(headers)) post.set(name, value);
+  return post.send({ data: { ...RESERVATION, ...data } });
+}
+
+/**
+ * Creates a reservation with POST /reservations, see postReservation()
+ * and returns the created reservation
+ */
+function createReservation(data, headers) {
+  return postReservation(data, headers).then((response) => response.body.data);
+}
+
+module.exports = {
+  RESERVATION,
+  insertReservation,
+  postReservation,
+  createReservation,
+};
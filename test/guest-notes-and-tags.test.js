@@ -0,0 +1,175 @@
+const request = require("supertest");
+
+const app = require("../src/app");
+const knex = require("../src/db/connection");
+const { createReservation } = require("./fixtures");
+
+describe("Guest notes and tags", () => {
+  beforeAll(() => {
+    return knex.migrate
+      .forceFreeMigrationsLock()
+      .then(() => knex.migrate.rollback(null, true))
+      .then(() => knex.migrate.latest());
+  });
+
+  beforeEach(() => {
+    return knex.seed.run();
+  });
+
+  afterAll(async () => {
+    return await knex.migrate.rollback(null, true).then(() => knex.destroy());
+  });
+
+  function tagGuest(guest_id, tags) {
+    return request(app)
+      .put(`/guests/${guest_id}/tags`)
+      .set("Accept", "application/json")
+      .send({ data: { tags } });
+  }
+
+  function addNote(guest_id, note) {
+    return request(app)
+      .post(`/guests/${guest_id}/notes`)
+      .set("Accept", "application/json")
+      .set("X-Actor", "Host")
+      .send({ data: { note } });
+  }
+
+  describe("PUT /guests/:guest_id/tags", () => {
+    test("returns 400 if tags is not a list", async () => {
+      const { guest_id } = await createReservation();
+
+      const response = await tagGuest(guest_id, "vip");
+
+      expect(response.body.error).toContain("tags");
+      expect(response.status).toBe(400);
+    });
+
+    test("stores each tag once, in lowercase", async () => {
+      const { guest_id } = await createReservation();
+
+      const response = await tagGuest(guest_id, [
+        "VIP",
+        " vip ",
+        "Nut allergy",
+      ]);
+
+      expect(response.body.error).toBeUndefined();
+      expect(response.body.data.tags).toEqual(["vip", "nut allergy"]);
+    });
+  });
+
+  describe("POST and DELETE /guests/:guest_id/notes", () => {
+    test("returns 400 if the note is empty", async () => {
+      const { guest_id } = await createReservation();
+
+      const response = await addNote(guest_id, "  ");
+
+      expect(response.body.error).toContain("note");
+      expect(response.status).toBe(400);
+    });
+
+    test("adds and removes notes of a guest", async () => {
+      const { guest_id } = await createReservation();
+
+      const created = await addNote(guest_id, "Severe shellfish allergy");
+      expect(created.status).toBe(201);
+      expect(created.body.data).toEqual(
+        expect.objectContaining({
+          guest_id,
+          note: "Severe shellfish allergy",
+          actor: "Host",
+        })
+      );
+
+      const deleted = await request(app)
+        .delete(`/guests/${guest_id}/notes/${created.body.data.note_id}`)
+        .set("Accept", "application/json");
+      expect(deleted.status).toBe(204);
+
+      const guest = await request(app)
+        .get(`/guests/${guest_id}`)
+        .set("Accept", "application/json");
+      expect(guest.body.data.notes).toEqual([]);
+    });
+  });
+
+  describe("GET /reservations", () => {
+    test("attaches the guest's tags and notes to every reservation", async () => {
+      const { guest_id, reservation_id } = await createReservation();
+      await tagGuest(guest_id, ["vip"]);
+      await addNote(guest_id, "Prefers the corner booth");
+
+      const list = await request(app)
+        .get("/reservations?date=2030-01-02")
+        .set("Accept", "application/json");
+      const read = await request(app)
+        .get(`/reservations/${reservation_id}`)
+        .set("Accept", "application/json");
+
+      for (let data of [list.body.data[0], read.body.data]) {
+        expect(data.guest.tags).toEqual(["vip"]);
+        expect(data.guest.notes.map(({ note }) => note)).toEqual([
+          "Prefers the corner booth",
+        ]);
+      }
+    });
+
+    test("filters the reservations by the guest's tag", async () => {
+      const vip = await createReservation();
+      await createReservation({
+        mobile_number: "800-555-8888",
+        reservation_time: "20:00",
+      });
+      await tagGuest(vip.guest_id, ["vip"]);
+
+      const response = await request(app)
+        .get("/reservations?date=2030-01-02&tag=VIP")
+        .set("Accept", "application/json");
+
+      expect(response.body.error).toBeUndefined();
+      expect(
+        response.body.data.map(({ reservation_id }) => reservation_id)
+      ).toEqual([vip.reservation_id]);
+    });
+
+    test("returns 400 if more than one tag is searched for", async () => {
+      const response = await request(app)
+        .get("/reservations?tag=vip&tag=regular")
+        .set("Accept", "application/json");
+
+      expect(response.body.error).toContain("tag");
+      expect(response.status).toBe(400);
+    });
+
+    test("returns 400 if the tag is empty", async () => {
+      const response = await request(app)
+        .get("/reservations?date=2030-01-02&tag=%20")
+        .set("Accept", "application/json");
+
+      expect(response.body.error).toContain("tag");
+      expect(response.status).toBe(400);
+    });
+
+    test("a reservation can be saved with its attached guest details", async () => {
+      const created = await createReservation();
+      const read = await request(app)
+        .get(`/reservations/${created.reservation_id}`)
+        .set("Accept", "application/json");
+
+      const response = await request(app)
+        .put(`/reservations/${created.reservation_id}`)
+        .set("Accept", "application/json")
+        .send({
+          data: {
+            ...read.body.data,
+            reservation_date: "2030-01-02",
+            people: 3,
+          },
+        });
+
+      expect(response.body.error).toBeUndefined();
+      expect(response.body.data.people).toBe(3);
+    });
+  });
+});
@@ -0,0 +1,92 @@
+const request = require("supertest");
+
+const app = require("../src/app");
+const knex = require("../src/db/connection");
+const { RESERVATION, createReservation } = require("./fixtures");
+
+describe("Guest profiles", () => {
+  beforeAll(() => {
+    return knex.migrate
+      .forceFreeMigrationsLock()
+      .then(() => knex.migrate.rollback(null, true))
+      .then(() => knex.migrate.latest());
+  });
+
+  beforeEach(() => {
+    return knex.seed.run();
+  });
+
+  afterAll(async () => {
+    return await knex.migrate.rollback(null, true).then(() => knex.destroy());
+  });
+
+  describe("POST /reservations", () => {
+    test("links reservations with the same phone number to the same guest", async () => {
+      const first = await createReservation();
+      const second = await createReservation({
+        mobile_number: "(800) 555-1212",
+        reservation_time: "20:00",
+      });
+
+      expect(first.guest_id).toEqual(expect.any(Number));
+      expect(second.guest_id).toBe(first.guest_id);
+    });
+
+    test("creates a new guest for a new phone number", async () => {
+      const first = await createReservation();
+      const second = await createReservation({ mobile_number: "800-555-8888" });
+
+      expect(second.guest_id).not.toBe(first.guest_id);
+    });
+  });
+
+  describe("GET /guests/:guest_id", () => {
+    test("returns 404 for non-existent id", async () => {
+      const response = await request(app)
+        .get("/guests/99999")
+        .set("Accept", "application/json");
+
+      expect(response.body.error).toContain("99999");
+      expect(response.status).toBe(404);
+    });
+
+    test("returns the guest's lifetime stats", async () => {
+      const { guest_id } = await createReservation();
+      const linked = { ...RESERVATION, guest_id };
+      await knex("reservations").insert([
+        {
+          ...linked,
+          reservation_date: "2021-01-02",
+          people: 4,
+          status: "finished",
+        },
+        {
+          ...linked,
+          reservation_date: "2021-03-04",
+          people: 2,
+          status: "finished",
+        },
+        { ...linked, reservation_date: "2021-05-06", status: "no_show" },
+        { ...linked, reservation_date: "2021-07-08", status: "cancelled" },
+      ]);
+
+      const response = await request(app)
+        .get(`/guests/${guest_id}`)
+        .set("Accept", "application/json");
+
+      expect(response.body.error).toBeUndefined();
+      expect(response.body.data).toEqual(
+        expect.objectContaining({
+          guest_id,
+          mobile_number: RESERVATION.mobile_number,
+          first_name: RESERVATION.first_name,
+          visits: 2,
+          covers: 6,
+          no_shows: 1,
+          cancellations: 1,
+          last_visit: "2021-03-04",
+        })
+      );
+    });
+  });
+});
@@ -0,0 +1,105 @@
+const request = require("supertest");
+
+const app = require("../src/app");
+const knex = require("../src/db/connection");
+const { RESERVATION, postReservation } = require("./fixtures");
+
+describe("Idempotency keys", () => {
+  beforeAll(() => {
+    return knex.migrate
+      .forceFreeMigrationsLock()
+      .then(() => knex.migrate.rollback(null, true))
+      .then(() => knex.migrate.latest());
+  });
+
+  beforeEach(() => {
+    return knex.seed.run();
+  });
+
+  afterAll(async () => {
+    return await knex.migrate.rollback(null, true).then(() => knex.destroy());
+  });
+
+  function createReservation(key, data) {
+    return postReservation(data, { "Idempotency-Key": key });
+  }
+
+  describe("POST /reservations", () => {
+    test("replays the first response for a retry with the same key", async () => {
+      const first = await createReservation("retry-1");
+      const retry = await createReservation("retry-1");
+
+      expect(first.status).toBe(201);
+      expect(retry.status).toBe(201);
+      expect(retry.headers["idempotent-replayed"]).toBe("true");
+      expect(retry.body.data.reservation_id).toBe(
+        first.body.data.reservation_id
+      );
+
+      const created = await knex("reservations").where({
+        first_name: RESERVATION.first_name,
+      });
+      expect(created).toHaveLength(1);
+    });
+
+    test("returns 422 if the key is reused with a different body", async () => {
+      await createReservation("reused-1");
+
+      const response = await createReservation("reused-1", { people: 4 });
+
+      expect(response.body.error).toContain("reused-1");
+      expect(response.status).toBe(422);
+    });
+
+    test("creates a new reservation for each new key", async () => {
+      const first = await createReservation("new-1");
+      const second = await createReservation("new-2");
+
+      expect(second.body.data.reservation_id).not.toBe(
+        first.body.data.reservation_id
+      );
+    });
+
+    test("creates a new reservation once the key has expired", async () => {
+      const first = await createReservation("expired-1");
+      await knex("idempotency_keys")
+        .where({ idempotency_key: "expired-1" })
+        .update({ created_at: new Date(Date.now() - 25 * 60 * 60 * 1000) });
+
+      const retry = await createReservation("expired-1");
+
+      expect(retry.headers["idempotent-replayed"]).toBeUndefined();
+      expect(retry.body.data.reservation_id).not.toBe(
+        first.body.data.reservation_id
+      );
+    });
+  });
+
+  describe("PUT and DELETE /tables/:table_id/seat", () => {
+    test("replays seating and unseating for retries with the same keys", async () => {
+      const { body } = await createReservation("seat-reservation");
+      const { reservation_id } = body.data;
+
+      const seat = () =>
+        request(app)
+          .put("/tables/3/seat")
+          .set("Accept", "application/json")
+          .set("Idempotency-Key", "seat-1")
+          .send({ data: { reservation_id } });
+      const unseat = () =>
+        request(app)
+          .delete("/tables/3/seat")
+          .set("Accept", "application/json")
+          .set("Idempotency-Key", "unseat-1");
+
+      expect((await seat()).status).toBe(200);
+      expect((await seat()).status).toBe(200);
+      expect((await unseat()).status).toBe(200);
+      const retry = await unseat();
+
+      expect(retry.status).toBe(200);
+      expect(retry.headers["idempotent-replayed"]).toBe("true");
+      expect(retry.body.data.occupied).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,128 @@
+const request = require("supertest");
+
+const app = require("../src/app");
+const knex = require("../src/db/connection");
+const reservationsService = require("../src/reservations/reservations.service");
+const { RESERVATION } = require("./fixtures");
+
+describe("Searching reservations by guest name", () => {
+  beforeAll(() => {
+    return knex.migrate
+      .forceFreeMigrationsLock()
+      .then(() => knex.migrate.rollback(null, true))
+      .then(() => knex.migrate.latest());
+  });
+
+  beforeEach(() => {
+    return knex.seed.run();
+  });
+
+  afterAll(async () => {
+    return await knex.migrate.rollback(null, true).then(() => knex.destroy());
+  });
+
+  const reservation = {
+    ...RESERVATION,
+    first_name: "Katherine",
+    last_name: "Johnson",
+  };
+
+  function daysFromToday(days) {
+    const date = new Date();
+    date.setDate(date.getDate() + days);
+    return date.toISOString().slice(0, 10);
+  }
+
+  function search(query) {
+    return request(app)
+      .get(`/reservations?${query}`)
+      .set("Accept", "application/json");
+  }
+
+  describe("GET /reservations?q=...", () => {
+    test("finds misspelled first, last and full names", async () => {
+      const [katherine] = await knex("reservations")
+        .insert({ ...reservation, reservation_date: daysFromToday(1) })
+        .returning("reservation_id");
+
+      for (let q of ["Kathryn", "Jonson", "katherine jonsen"]) {
+        const response = await search(`q=${encodeURIComponent(q)}`);
+
+        expect(response.body.error).toBeUndefined();
+        expect(
+          response.body.data.map(({ reservation_id }) => reservation_id)
+        ).toEqual([katherine]);
+      }
+
+      const rick = await search("q=Rik");
+      expect(rick.body.data.map(({ first_name }) => first_name)).toEqual([
+        "Rick",
+      ]);
+    });
+
+    test("does not match names that are not similar", async () => {
+      const response = await search("q=Zebedee");
+
+      expect(response.body.error).toBeUndefined();
+      expect(response.body.data).toHaveLength(0);
+    });
+
+    test("ranks by similarity and by how close the reservation is to today together", async () => {
+      const [far, near, misspelled, other] = await knex("reservations")
+        .insert([
+          { ...reservation, reservation_date: daysFromToday(330) },
+          { ...reservation, reservation_date: daysFromToday(-2) },
+          {
+            ...reservation,
+            last_name: "Jonson",
+            reservation_date: daysFromToday(1),
+          },
+          {
+            ...reservation,
+            first_name: "Kathy",
+            reservation_date: daysFromToday(0),
+          },
+        ])
+        .returning("reservation_id");
+
+      const response = await search("q=Katherine Johnson");
+
+      // The exact match months away ranks below the less similar names of the coming days
+      expect(
+        response.body.data.map(({ reservation_id }) => reservation_id)
+      ).toEqual([near, misspelled, other, far]);
+    });
+
+    test("can use the trigram indexes of the names", async () => {
+      const query = reservationsService.search([], null, "Kathryn").toQuery();
+
+      const plan = await knex.transaction(async (trx) => {
+        await trx.raw("SET LOCAL enable_seqscan = off");
+        const { rows } = await trx.raw(`EXPLAIN ${query}`);
+        return rows.map((row) => row["QUERY PLAN"]).join("\n");
+      });
+
+      expect(plan).toContain("reservations_first_name_trgm");
+      expect(plan).toContain("reservations_last_name_trgm");
+      expect(plan).toContain("reservations_full_name_trgm");
+    });
+
+    test("can be combined with filters", async () => {
+      await knex("reservations").insert([
+        { ...reservation, reservation_date: daysFromToday(1) },
+        { ...reservation, reservation_date: daysFromToday(2), people: 6 },
+      ]);
+
+      const response = await search("q=Katharine&people[gte]=6");
+
+      expect(response.body.data.map(({ people }) => people)).toEqual([6]);
+    });
+
+    test("returns 400 if the search is empty", async () => {
+      const response = await search("q=%20");
+
+      expect(response.body.error).toContain("q");
+      expect(response.status).toBe(400);
+    });
+  });
+});
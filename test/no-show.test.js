@@ -0,0 +1,130 @@
+const request = require("supertest");
+
+const app = require("../src/app");
+const knex = require("../src/db/connection");
+const { insertReservation } = require("./fixtures");
+const { markNoShows } = require("../src/reservations/reservations.sweep");
+
+describe("No-show reservations", () => {
+  beforeAll(() => {
+    return knex.migrate
+      .forceFreeMigrationsLock()
+      .then(() => knex.migrate.rollback(null, true))
+      .then(() => knex.migrate.latest());
+  });
+
+  beforeEach(() => {
+    return knex.seed.run();
+  });
+
+  afterAll(async () => {
+    return await knex.migrate.rollback(null, true).then(() => knex.destroy());
+  });
+
+  function updateStatus(reservation_id, status) {
+    return request(app)
+      .put(`/reservations/${reservation_id}/status`)
+      .set("Accept", "application/json")
+      .send({ data: { status } });
+  }
+
+  describe("PUT /reservations/:reservation_id/status", () => {
+    test("returns 200 when a booked reservation is marked as a no-show", async () => {
+      const { reservation_id } = await insertReservation();
+
+      const response = await updateStatus(reservation_id, "no_show");
+
+      expect(response.body.error).toBeUndefined();
+      expect(response.body.data.status).toBe("no_show");
+      expect(response.status).toBe(200);
+    });
+
+    test("returns 400 when a seated reservation is marked as a no-show", async () => {
+      const { reservation_id } = await insertReservation({ status: "seated" });
+
+      const response = await updateStatus(reservation_id, "no_show");
+
+      expect(response.body.error).toContain("seated");
+      expect(response.status).toBe(400);
+    });
+
+    test("returns 400 when a no-show is seated without being booked again", async () => {
+      const { reservation_id } = await insertReservation({ status: "no_show" });
+
+      const response = await updateStatus(reservation_id, "seated");
+
+      expect(response.body.error).toContain("'booked', 'cancelled'");
+      expect(response.status).toBe(400);
+    });
+
+    test("returns 200 when a no-show is booked again", async () => {
+      const { reservation_id } = await insertReservation({ status: "no_show" });
+
+      const response = await updateStatus(reservation_id, "booked");
+
+      expect(response.body.error).toBeUndefined();
+      expect(response.body.data.status).toBe("booked");
+      expect(response.status).toBe(200);
+    });
+  });
+
+  describe("PUT /tables/:table_id/seat", () => {
+    test("returns 400 if the reservation is a no-show", async () => {
+      const { reservation_id } = await insertReservation({ status: "no_show" });
+
+      const response = await request(app)
+        .put("/tables/3/seat")
+        .set("Accept", "application/json")
+        .send({ data: { reservation_id } });
+
+      expect(response.body.error).toContain("no-show");
+      expect(response.status).toBe(400);
+    });
+  });
+
+  describe("GET /reservations?date=", () => {
+    test("does not include no-shows", async () => {
+      await insertReservation({ status: "no_show" });
+      const { reservation_id } = await insertReservation();
+
+      const response = await request(app)
+        .get("/reservations?date=2030-01-02")
+        .set("Accept", "application/json");
+
+      expect(response.body.data.map((r) => r.reservation_id)).toEqual([
+        reservation_id,
+      ]);
+    });
+  });
+
+  describe("markNoShows()", () => {
+    test("marks booked reservations as no-shows once the grace period has passed", async () => {
+      const late = await insertReservation({ reservation_time: "18:30" });
+      const waiting = await insertReservation({ reservation_time: "18:50" });
+      const seated = await insertReservation({
+        reservation_time: "18:00",
+        status: "seated",
+      });
+
+      const marked = await markNoShows(new Date("2030-01-02T19:00"), 15);
+
+      // The seeded reservations are all in the past, so they are marked too
+      const markedIds = marked.map(({ reservation_id }) => reservation_id);
+      expect(markedIds).toContain(late.reservation_id);
+      expect(markedIds).not.toContain(waiting.reservation_id);
+      const statuses = await knex("reservations")
+        .select("reservation_id", "status")
+        .whereIn("reservation_id", [
+          late.reservation_id,
+          waiting.reservation_id,
+          seated.reservation_id,
+        ])
+        .orderBy("reservation_id");
+      expect(statuses.map(({ status }) => status)).toEqual([
+        "no_show",
+        "booked",
+        "seated",
+      ]);
+    });
+  });
+});
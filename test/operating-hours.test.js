@@ -0,0 +1,162 @@
+const request = require("supertest");
+
+const app = require("../src/app");
+const knex = require("../src/db/connection");
+
+describe("Operating hours settings", () => {
+  beforeAll(() => {
+    return knex.migrate
+      .forceFreeMigrationsLock()
+      .then(() => knex.migrate.rollback(null, true))
+      .then(() => knex.migrate.latest());
+  });
+
+  beforeEach(() => {
+    return knex.seed.run();
+  });
+
+  afterAll(async () => {
+    return await knex.migrate.rollback(null, true).then(() => knex.destroy());
+  });
+
+  describe("GET /settings/hours", () => {
+    test("returns the seeded operating hours", async () => {
+      const response = await request(app)
+        .get("/settings/hours")
+        .set("Accept", "application/json");
+
+      expect(response.body.error).toBeUndefined();
+      expect(response.body.data).toHaveLength(6);
+      expect(response.status).toBe(200);
+    });
+  });
+
+  describe("POST /settings/hours", () => {
+    test("returns 400 if day_of_week is out of range", async () => {
+      const data = {
+        day_of_week: 7,
+        service_name: "Lunch",
+        open_time: "11:00",
+        close_time: "14:00",
+      };
+
+      const response = await request(app)
+        .post("/settings/hours")
+        .set("Accept", "application/json")
+        .send({ data });
+
+      expect(response.body.error).toContain("day_of_week");
+      expect(response.status).toBe(400);
+    });
+
+    test("returns 400 if close_time is before open_time", async () => {
+      const data = {
+        day_of_week: 2,
+        service_name: "Lunch",
+        open_time: "14:00",
+        close_time: "11:00",
+      };
+
+      const response = await request(app)
+        .post("/settings/hours")
+        .set("Accept", "application/json")
+        .send({ data });
+
+      expect(response.body.error).toContain("close_time");
+      expect(response.status).toBe(400);
+    });
+
+    test("returns 400 if the hours overlap another service", async () => {
+      const data = {
+        day_of_week: 1,
+        service_name: "Lunch",
+        open_time: "11:00",
+        close_time: "14:00",
+      };
+
+      const response = await request(app)
+        .post("/settings/hours")
+        .set("Accept", "application/json")
+        .send({ data });
+
+      expect(response.body.error).toContain("overlap");
+      expect(response.status).toBe(400);
+    });
+
+    test("opens the restaurant on a previously closed day", async () => {
+      const data = {
+        day_of_week: 2,
+        service_name: "Dinner",
+        open_time: "17:00",
+        close_time: "22:00",
+        last_seating_offset: 30,
+      };
+
+      const response = await request(app)
+        .post("/settings/hours")
+        .set("Accept", "application/json")
+        .send({ data });
+
+      expect(response.body.error).toBeUndefined();
+      expect(response.status).toBe(201);
+
+      const reservation = {
+        first_name: "first",
+        last_name: "last",
+        mobile_number: "800-555-1212",
+        reservation_date: "2030-01-01",
+        reservation_time: "21:30",
+        people: 3,
+      };
+
+      let reservationResponse = await request(app)
+        .post("/reservations")
+        .set("Accept", "application/json")
+        .send({ data: reservation });
+
+      expect(reservationResponse.status).toBe(201);
+
+      reservation.reservation_time = "21:45";
+      reservationResponse = await request(app)
+        .post("/reservations")
+        .set("Accept", "application/json")
+        .send({ data: reservation });
+
+      expect(reservationResponse.body.error).toContain("17:00 and 21:30");
+      expect(reservationResponse.status).toBe(400);
+    });
+  });
+
+  describe("DELETE /settings/hours/:hours_id", () => {
+    test("closes the restaurant on a day without any hours", async () => {
+      const monday = await knex("operating_hours")
+        .where({ day_of_week: 1 })
+        .first();
+
+      const response = await request(app)
+        .delete(`/settings/hours/${monday.hours_id}`)
+        .set("Accept", "application/json");
+
+      expect(response.status).toBe(204);
+
+      const data = {
+        first_name: "first",
+        last_name: "last",
+        mobile_number: "800-555-1212",
+        reservation_date: "2030-01-07",
+        reservation_time: "17:30",
+        people: 3,
+      };
+
+      const reservationResponse = await request(app)
+        .post("/reservations")
+        .set("Accept", "application/json")
+        .send({ data });
+
+      expect(reservationResponse.body.error).toContain(
+        "closed on Mondays and Tuesdays"
+      );
+      expect(reservationResponse.status).toBe(400);
+    });
+  });
+});
@@ -0,0 +1,101 @@
+const request = require("supertest");
+
+const app = require("../src/app");
+const knex = require("../src/db/connection");
+const { postReservation } = require("./fixtures");
+
+describe("Pacing rules", () => {
+  beforeAll(() => {
+    return knex.migrate
+      .forceFreeMigrationsLock()
+      .then(() => knex.migrate.rollback(null, true))
+      .then(() => knex.migrate.latest());
+  });
+
+  beforeEach(() => {
+    return knex.seed.run();
+  });
+
+  afterAll(async () => {
+    return await knex.migrate.rollback(null, true).then(() => knex.destroy());
+  });
+
+  function createPacingRule(data) {
+    return request(app)
+      .post("/settings/pacing")
+      .set("Accept", "application/json")
+      .send({ data: { service_name: "All Day", ...data } });
+  }
+
+  describe("POST /settings/pacing", () => {
+    test("returns 400 if there are no limits", async () => {
+      const response = await createPacingRule({});
+
+      expect(response.body.error).toContain("max_covers");
+      expect(response.status).toBe(400);
+    });
+
+    test("returns 400 if a limit is not a whole number", async () => {
+      const response = await createPacingRule({ max_parties: 1.5 });
+
+      expect(response.body.error).toContain("max_parties");
+      expect(response.status).toBe(400);
+    });
+
+    test("returns 400 if the service already has a pacing rule", async () => {
+      await createPacingRule({ max_parties: 2 });
+      const response = await createPacingRule({ max_covers: 10 });
+
+      expect(response.body.error).toContain("already");
+      expect(response.status).toBe(400);
+    });
+  });
+
+  describe("POST /reservations", () => {
+    test("returns 400 with alternatives when the slot has too many parties", async () => {
+      await createPacingRule({ max_parties: 1 });
+      await postReservation();
+
+      let response = await postReservation({ reservation_time: "19:10" });
+
+      expect(response.body.error).toContain("19:00");
+      expect(response.body.alternatives).toEqual([
+        { reservation_time: "19:15", service_name: "All Day" },
+        { reservation_time: "19:30", service_name: "All Day" },
+        { reservation_time: "18:45", service_name: "All Day" },
+      ]);
+      expect(response.status).toBe(400);
+
+      response = await postReservation({ reservation_time: "19:15" });
+      expect(response.status).toBe(201);
+    });
+
+    test("returns 400 when the slot has too many covers", async () => {
+      await createPacingRule({ max_covers: 2 });
+      await postReservation({ people: 1 });
+
+      let response = await postReservation({ people: 2 });
+      expect(response.status).toBe(400);
+
+      response = await postReservation({ people: 1 });
+      expect(response.status).toBe(201);
+    });
+  });
+
+  describe("GET /reservations/availability", () => {
+    test("excludes slots that are fully paced", async () => {
+      await createPacingRule({ max_parties: 1 });
+      await postReservation();
+
+      const response = await request(app)
+        .get("/reservations/availability?date=2030-01-02&people=1")
+        .set("Accept", "application/json");
+
+      const times = response.body.data.map(
+        ({ reservation_time }) => reservation_time
+      );
+      expect(times).not.toContain("19:00");
+      expect(times).toContain("19:15");
+    });
+  });
+});
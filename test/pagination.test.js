@@ -0,0 +1,135 @@
+const request = require("supertest");
+
+const app = require("../src/app");
+const knex = require("../src/db/connection");
+const { RESERVATION } = require("./fixtures");
+
+describe("Pagination, sorting and field selection", () => {
+  beforeAll(() => {
+    return knex.migrate
+      .forceFreeMigrationsLock()
+      .then(() => knex.migrate.rollback(null, true))
+      .then(() => knex.migrate.latest());
+  });
+
+  beforeEach(() => {
+    return knex.seed.run();
+  });
+
+  afterAll(async () => {
+    return await knex.migrate.rollback(null, true).then(() => knex.destroy());
+  });
+
+  function list(path) {
+    return request(app).get(path).set("Accept", "application/json");
+  }
+
+  describe("GET /reservations", () => {
+    test("returns a page of reservations with the total count and page links", async () => {
+      const response = await list("/reservations?page=2&limit=2");
+
+      expect(response.body.error).toBeUndefined();
+      expect(
+        response.body.data.map(({ reservation_id }) => reservation_id)
+      ).toEqual([3, 4]);
+      expect(response.headers["x-total-count"]).toBe("5");
+      expect(response.headers.link).toContain('page=1&limit=2>; rel="first"');
+      expect(response.headers.link).toContain('page=1&limit=2>; rel="prev"');
+      expect(response.headers.link).toContain('page=3&limit=2>; rel="next"');
+      expect(response.headers.link).toContain('page=3&limit=2>; rel="last"');
+    });
+
+    test("lists every reservation of a date without a page or limit query", async () => {
+      await knex("reservations").insert(
+        Array.from({ length: 60 }, () => RESERVATION)
+      );
+
+      const response = await list("/reservations?date=2030-01-02");
+
+      expect(response.body.error).toBeUndefined();
+      expect(response.body.data).toHaveLength(60);
+      expect(response.headers["x-total-count"]).toBe("60");
+      expect(response.headers.link).toBeUndefined();
+    });
+
+    test("keeps the other queries in the page links", async () => {
+      const response = await list("/reservations?people[gte]=1&limit=2");
+
+      expect(response.headers.link).toContain("people%5Bgte%5D=1");
+      expect(response.headers.link).not.toContain('rel="prev"');
+    });
+
+    test("sorts on several fields", async () => {
+      const response = await list(
+        "/reservations?sort=-reservation_date,first_name"
+      );
+
+      expect(response.body.error).toBeUndefined();
+      expect(
+        response.body.data.map(({ reservation_id }) => reservation_id)
+      ).toEqual([5, 4, 1, 3, 2]);
+    });
+
+    test("returns only the selected fields", async () => {
+      const response = await list(
+        "/reservations?fields=reservation_id,first_name,guest&limit=1"
+      );
+
+      expect(response.body.error).toBeUndefined();
+      expect(response.body.data).toEqual([
+        { reservation_id: 1, first_name: "Rick", guest: null },
+      ]);
+    });
+
+    test("returns 400 for an invalid page, limit, sort or fields query", async () => {
+      for (let query of [
+        "page=0",
+        "limit=1000",
+        "sort=guest",
+        "fields=password",
+      ]) {
+        const response = await list(`/reservations?${query}`);
+
+        expect(response.body.error).toContain(query.split("=")[0]);
+        expect(response.status).toBe(400);
+      }
+    });
+  });
+
+  describe("GET /tables", () => {
+    test("returns a sorted page of tables with the selected fields", async () => {
+      const response = await list(
+        "/tables?sort=-capacity,table_name&fields=table_name,capacity&limit=2"
+      );
+
+      expect(response.body.error).toBeUndefined();
+      expect(response.body.data).toHaveLength(2);
+      expect(Object.keys(response.body.data[0])).toEqual([
+        "table_name",
+        "capacity",
+      ]);
+      expect(response.body.data[0].capacity).toBeGreaterThanOrEqual(
+        response.body.data[1].capacity
+      );
+      expect(Number(response.headers["x-total-count"])).toBeGreaterThan(2);
+      expect(response.headers.link).toContain('rel="next"');
+    });
+
+    test("lists every table without a page or limit query", async () => {
+      const tables = await knex("tables").where({ retired: false });
+
+      const response = await list("/tables");
+
+      expect(response.body.error).toBeUndefined();
+      expect(response.body.data).toHaveLength(tables.length);
+      expect(response.headers.link).toBeUndefined();
+    });
+
+    test("returns 400 for an invalid sort", async () => {
+      const response = await list("/tables?sort=holds");
+
+      expect(response.body.error).toContain("sort");
+      expect(response.status).toBe(400);
+    });
+  });
+});
@@ -0,0 +1,156 @@
+const request = require("supertest");
+
+const app = require("../src/app");
+const knex = require("../src/db/connection");
+const { normalizePhone } = require("../src/utils/phone");
+const { RESERVATION } = require("./fixtures");
+
+describe("Phone numbers", () => {
+  beforeAll(() => {
+    return knex.migrate
+      .forceFreeMigrationsLock()
+      .then(() => knex.migrate.rollback(null, true))
+      .then(() => knex.migrate.latest());
+  });
+
+  beforeEach(() => {
+    return knex.seed.run();
+  });
+
+  afterAll(async () => {
+    return await knex.migrate.rollback(null, true).then(() => knex.destroy());
+  });
+
+  const reservation = { ...RESERVATION, mobile_number: "(800) 555-7777" };
+
+  describe("POST /reservations", () => {
+    test("stores the phone number in E.164 format", async () => {
+      const response = await request(app)
+        .post("/reservations")
+        .set("Accept", "application/json")
+        .send({ data: reservation });
+
+      expect(response.body.error).toBeUndefined();
+      expect(response.body.data.mobile_number).toBe("+18005557777");
+    });
+
+    test("keeps the country code of international numbers", async () => {
+      const response = await request(app)
+        .post("/reservations")
+        .set("Accept", "application/json")
+        .send({ data: { ...reservation, mobile_number: "+44 20 7946 0958" } });
+
+      expect(response.body.error).toBeUndefined();
+      expect(response.body.data.mobile_number).toBe("+442079460958");
+    });
+
+    test("returns 400 if mobile_number is not a phone number", async () => {
+      const response = await request(app)
+        .post("/reservations")
+        .set("Accept", "application/json")
+        .send({ data: { ...reservation, mobile_number: "555-1212" } });
+
+      expect(response.body.error).toContain("mobile_number");
+      expect(response.status).toBe(400);
+    });
+  });
+
+  describe("POST /waitlist", () => {
+    test("stores the phone number in E.164 format", async () => {
+      const response = await request(app)
+        .post("/waitlist")
+        .set("Accept", "application/json")
+        .send({
+          data: {
+            first_name: "first",
+            last_name: "last",
+            mobile_number: "800.555.7777",
+            people: 2,
+          },
+        });
+
+      expect(response.body.error).toBeUndefined();
+      expect(response.body.data.mobile_number).toBe("+18005557777");
+    });
+  });
+
+  describe("GET /reservations?mobile_number=...", () => {
+    test("matches the digits no matter how the number is typed in", async () => {
+      const response = await request(app)
+        .get("/reservations?mobile_number=(808) 555-0140")
+        .set("Accept", "application/json");
+
+      expect(response.body.error).toBeUndefined();
+      expect(response.body.data).toHaveLength(1);
+      expect(response.body.data[0].mobile_number).toBe("+18085550140");
+    });
+
+    test("returns 400 if the search has no digits", async () => {
+      const response = await request(app)
+        .get("/reservations?mobile_number=abc")
+        .set("Accept", "application/json");
+
+      expect(response.body.error).toContain("mobile_number");
+      expect(response.status).toBe(400);
+    });
+  });
+
+  describe("the migration to E.164", () => {
+    const migration = "20211102090000";
+
+    // Runs the migrations one at a time, up to and including the version
+    async function migrateTo(version) {
+      let current = await knex.migrate.currentVersion();
+      while (current === "none" || current < version) {
+        await knex.migrate.up();
+        current = await knex.migrate.currentVersion();
+      }
+    }
+
+    afterEach(() => knex.migrate.latest());
+
+    test("converts stored numbers the same way as new ones", async () => {
+      const typed = [
+        "(800) 555-7777",
+        "+1 800 555 7777",
+        "0044 20 7946 0958",
+        " +44 20 7946 0958",
+        "00 1 800 555 7777",
+      ];
+      await knex.migrate.rollback(null, true);
+      await migrateTo("20211101090000");
+      const ids = await knex("reservations")
+        .insert(
+          typed.map((mobile_number) => ({
+            ...reservation,
+            mobile_number,
+          }))
+        )
+        .returning("reservation_id");
+
+      await migrateTo(migration);
+
+      const stored = await knex("reservations")
+        .whereIn("reservation_id", ids)
+        .orderBy("reservation_id")
+        .pluck("mobile_number");
+      expect(stored).toEqual(typed.map(normalizePhone));
+    });
+
+    test("merges the guests whose numbers are the same once converted", async () => {
+      await knex.migrate.rollback(null, true);
+      await migrateTo("20211101090000");
+      await knex("guests").insert([
+        { mobile_number: "00442079460958", first_name: "first" },
+        { mobile_number: "442079460958", first_name: "first" },
+      ]);
+
+      await migrateTo(migration);
+
+      const guests = await knex("guests")
+        .where("mobile_number", "like", "%442079460958")
+        .pluck("mobile_number");
+      expect(guests).toEqual(["+442079460958"]);
+    });
+  });
+});
@@ -0,0 +1,96 @@
+const request = require("supertest");
+
+const app = require("../src/app");
+const knex = require("../src/db/connection");
+
+describe("Reservation availability", () => {
+  beforeAll(() => {
+    return knex.migrate
+      .forceFreeMigrationsLock()
+      .then(() => knex.migrate.rollback(null, true))
+      .then(() => knex.migrate.latest());
+  });
+
+  beforeEach(() => {
+    return knex.seed.run();
+  });
+
+  afterAll(async () => {
+    return await knex.migrate.rollback(null, true).then(() => knex.destroy());
+  });
+
+  describe("GET /reservations/availability", () => {
+    test("returns 400 if date is missing", async () => {
+      const response = await request(app)
+        .get("/reservations/availability?people=2")
+        .set("Accept", "application/json");
+
+      expect(response.body.error).toContain("date");
+      expect(response.status).toBe(400);
+    });
+
+    test("returns 400 if people is not a number", async () => {
+      const response = await request(app)
+        .get("/reservations/availability?date=2030-01-02&people=two")
+        .set("Accept", "application/json");
+
+      expect(response.body.error).toContain("people");
+      expect(response.status).toBe(400);
+    });
+
+    test("returns every slot during the operating hours", async () => {
+      const response = await request(app)
+        .get("/reservations/availability?date=2030-01-02&people=2")
+        .set("Accept", "application/json");
+
+      expect(response.body.error).toBeUndefined();
+      expect(response.body.data).toHaveLength(45);
+      expect(response.body.data[0]).toEqual({
+        reservation_time: "10:30",
+        service_name: "All Day",
+      });
+      expect(response.body.data[44].reservation_time).toBe("21:30");
+    });
+
+    test("returns no slots on a closed day", async () => {
+      const response = await request(app)
+        .get("/reservations/availability?date=2030-01-01&people=2")
+        .set("Accept", "application/json");
+
+      expect(response.body.data).toHaveLength(0);
+    });
+
+    test("returns no slots for a party larger than every table combined", async () => {
+      const response = await request(app)
+        .get("/reservations/availability?date=2030-01-02&people=15")
+        .set("Accept", "application/json");
+
+      expect(response.body.data).toHaveLength(0);
+    });
+
+    test("excludes slots where the tables are already booked", async () => {
+      const reservation = {
+        first_name: "first",
+        last_name: "last",
+        mobile_number: "800-555-1212",
+        reservation_date: "2030-01-02",
+        reservation_time: "19:00",
+        people: 6,
+        duration: 90,
+      };
+      await knex("reservations").insert([reservation, reservation]);
+
+      const response = await request(app)
+        .get("/reservations/availability?date=2030-01-02&people=3")
+        .set("Accept", "application/json");
+
+      const times = response.body.data.map(
+        ({ reservation_time }) => reservation_time
+      );
+      expect(times).toContain("17:30");
+      expect(times).not.toContain("17:45");
+      expect(times).not.toContain("19:00");
+      expect(times).toContain("20:30");
+    });
+  });
+});
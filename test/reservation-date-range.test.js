@@ -0,0 +1,110 @@
+const request = require("supertest");
+
+const app = require("../src/app");
+const knex = require("../src/db/connection");
+const { RESERVATION } = require("./fixtures");
+
+describe("Listing reservations from one date to another", () => {
+  beforeAll(() => {
+    return knex.migrate
+      .forceFreeMigrationsLock()
+      .then(() => knex.migrate.rollback(null, true))
+      .then(() => knex.migrate.latest());
+  });
+
+  beforeEach(() => {
+    return knex.seed.run();
+  });
+
+  afterAll(async () => {
+    return await knex.migrate.rollback(null, true).then(() => knex.destroy());
+  });
+
+  function listReservations(query) {
+    return request(app)
+      .get(`/reservations?${query}`)
+      .set("Accept", "application/json");
+  }
+
+  describe("GET /reservations?from=...&to=...", () => {
+    test("returns every day in the range with its parties and covers", async () => {
+      await knex("reservations").insert([
+        { ...RESERVATION, reservation_time: "20:00", people: 4 },
+        RESERVATION,
+        { ...RESERVATION, reservation_date: "2030-01-04", people: 6 },
+        { ...RESERVATION, reservation_date: "2030-01-05", people: 8 },
+      ]);
+
+      const response = await listReservations("from=2030-01-02&to=2030-01-04");
+
+      expect(response.body.error).toBeUndefined();
+      expect(
+        response.body.data.map(({ reservation_date, parties, covers }) => ({
+          reservation_date,
+          parties,
+          covers,
+        }))
+      ).toEqual([
+        { reservation_date: "2030-01-02", parties: 2, covers: 6 },
+        { reservation_date: "2030-01-03", parties: 0, covers: 0 },
+        { reservation_date: "2030-01-04", parties: 1, covers: 6 },
+      ]);
+      expect(
+        response.body.data[0].reservations.map(
+          ({ reservation_time }) => reservation_time
+        )
+      ).toEqual(["19:00:00", "20:00:00"]);
+    });
+
+    test("leaves out cancelled reservations and no-shows unless filtered on status", async () => {
+      await knex("reservations").insert([
+        RESERVATION,
+        { ...RESERVATION, status: "cancelled", people: 4 },
+        { ...RESERVATION, status: "no_show", people: 6 },
+      ]);
+
+      const expected = await listReservations("from=2030-01-02&to=2030-01-02");
+      const cancelled = await listReservations(
+        "from=2030-01-02&to=2030-01-02&status=cancelled"
+      );
+
+      expect(expected.body.data[0].covers).toBe(2);
+      expect(cancelled.body.error).toBeUndefined();
+      expect(cancelled.body.data[0].covers).toBe(4);
+    });
+
+    test("keeps seated and finished reservations, which the list for a single date leaves out", async () => {
+      await knex("reservations").insert([
+        RESERVATION,
+        { ...RESERVATION, status: "seated", people: 4 },
+        { ...RESERVATION, status: "finished", people: 6 },
+      ]);
+
+      const range = await listReservations("from=2030-01-02&to=2030-01-02");
+      const date = await listReservations("date=2030-01-02");
+      const finished = await listReservations(
+        "date=2030-01-02&status=finished"
+      );
+
+      expect(range.body.data[0].covers).toBe(12);
+      expect(date.body.data.map(({ status }) => status)).toEqual([
+        "booked",
+        "seated",
+      ]);
+      expect(finished.body.data.map(({ people }) => people)).toEqual([6]);
+    });
+
+    test("returns 400 if the range is not valid", async () => {
+      for (let query of [
+        "from=2030-01-02",
+        "from=2030-01-05&to=2030-01-02",
+        "from=2030-01-01&to=2030-12-31",
+        "from=2030-01-01&to=2030-01-02&page=2",
+      ]) {
+        const response = await listReservations(query);
+
+        expect(response.status).toBe(400);
+      }
+    });
+  });
+});
@@ -0,0 +1,134 @@
+const request = require("supertest");
+
+const app = require("../src/app");
+const knex = require("../src/db/connection");
+const { postReservation } = require("./fixtures");
+
+describe("Reservation duration and table inventory", () => {
+  beforeAll(() => {
+    return knex.migrate
+      .forceFreeMigrationsLock()
+      .then(() => knex.migrate.rollback(null, true))
+      .then(() => knex.migrate.latest());
+  });
+
+  beforeEach(() => {
+    return knex.seed.run();
+  });
+
+  afterAll(async () => {
+    return await knex.migrate.rollback(null, true).then(() => knex.destroy());
+  });
+
+  describe("POST /reservations", () => {
+    test("defaults the duration by party size", async () => {
+      const large = await postReservation({ people: 6 });
+      const small = await postReservation({ people: 2 });
+
+      expect(large.body.data.duration).toBe(120);
+      expect(small.body.data.duration).toBe(75);
+    });
+
+    test("returns 400 if duration is not a whole number", async () => {
+      const response = await postReservation({ duration: "long" });
+
+      expect(response.body.error).toContain("duration");
+      expect(response.status).toBe(400);
+    });
+
+    test("returns 400 if the tables are booked for an overlapping window", async () => {
+      await postReservation({ people: 6 });
+      await postReservation({ people: 6 });
+
+      let response = await postReservation({
+        people: 6,
+        reservation_time: "20:30",
+      });
+      expect(response.body.error).toContain("not enough tables");
+      expect(response.status).toBe(400);
+
+      response = await postReservation({
+        people: 6,
+        reservation_time: "17:30",
+      });
+      expect(response.status).toBe(400);
+
+      response = await postReservation({
+        people: 6,
+        reservation_time: "21:00",
+      });
+      expect(response.status).toBe(201);
+    });
+
+    test("uses the duration given for the reservation", async () => {
+      await postReservation({
+        people: 6,
+        reservation_time: "17:00",
+        duration: 60,
+      });
+      await postReservation({
+        people: 6,
+        reservation_time: "17:00",
+        duration: 60,
+      });
+
+      const response = await postReservation({
+        people: 6,
+        reservation_time: "18:00",
+      });
+      expect(response.status).toBe(201);
+    });
+  });
+
+  describe("PUT /reservations/:reservation_id", () => {
+    test("ignores the reservation's own booking", async () => {
+      const first = await postReservation({ people: 6 });
+      await postReservation({ people: 6 });
+
+      const response = await request(app)
+        .put(`/reservations/${first.body.data.reservation_id}`)
+        .set("Accept", "application/json")
+        .send({
+          data: {
+            ...first.body.data,
+            reservation_date: "2030-01-02",
+            reservation_time: "19:30",
+          },
+        });
+
+      expect(response.body.error).toBeUndefined();
+      expect(response.status).toBe(200);
+    });
+
+    test("keeps the reservation's duration if it is left out", async () => {
+      const created = await postReservation({ duration: 45 });
+      const { duration, ...edited } = created.body.data;
+
+      const response = await request(app)
+        .put(`/reservations/${created.body.data.reservation_id}`)
+        .set("Accept", "application/json")
+        .send({
+          data: { ...edited, reservation_date: "2030-01-02", people: 8 },
+        });
+
+      expect(response.body.error).toBeUndefined();
+      expect(response.body.data.duration).toBe(45);
+    });
+
+    test("defaults the duration again for the new party size if it was the default", async () => {
+      const created = await postReservation({ people: 2 });
+      const { duration, ...edited } = created.body.data;
+      expect(duration).toBe(75);
+
+      const response = await request(app)
+        .put(`/reservations/${created.body.data.reservation_id}`)
+        .set("Accept", "application/json")
+        .send({
+          data: { ...edited, reservation_date: "2030-01-02", people: 8 },
+        });
+
+      expect(response.body.error).toBeUndefined();
+      expect(response.body.data.duration).toBe(150);
+    });
+  });
+});
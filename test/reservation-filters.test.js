@@ -0,0 +1,119 @@
+const request = require("supertest");
+
+const app = require("../src/app");
+const knex = require("../src/db/connection");
+
+describe("Filtering reservations", () => {
+  beforeAll(() => {
+    return knex.migrate
+      .forceFreeMigrationsLock()
+      .then(() => knex.migrate.rollback(null, true))
+      .then(() => knex.migrate.latest());
+  });
+
+  beforeEach(() => {
+    return knex.seed.run();
+  });
+
+  afterAll(async () => {
+    return await knex.migrate.rollback(null, true).then(() => knex.destroy());
+  });
+
+  function listReservations(query) {
+    return request(app)
+      .get(`/reservations?${query}`)
+      .set("Accept", "application/json");
+  }
+
+  function ids(response) {
+    return response.body.data
+      .map(({ reservation_id }) => reservation_id)
+      .sort();
+  }
+
+  describe("GET /reservations", () => {
+    test("filters on a list of statuses", async () => {
+      await knex("reservations")
+        .whereIn("reservation_id", [1, 2])
+        .update({ status: "seated" });
+      await knex("reservations")
+        .where({ reservation_id: 3 })
+        .update({ status: "cancelled" });
+
+      const response = await listReservations("status=seated,cancelled");
+
+      expect(response.body.error).toBeUndefined();
+      expect(ids(response)).toEqual([1, 2, 3]);
+    });
+
+    test("filters with comparison operators", async () => {
+      const response = await listReservations("people[gte]=6");
+
+      expect(response.body.error).toBeUndefined();
+      expect(response.body.data.length).toBeGreaterThan(0);
+      expect(
+        response.body.data.every(({ people }) => people >= 6)
+      ).toBeTruthy();
+    });
+
+    test("filters on a date range", async () => {
+      const response = await listReservations(
+        "reservation_date[from]=2020-12-30&reservation_date[to]=2020-12-31"
+      );
+
+      expect(response.body.error).toBeUndefined();
+      expect(ids(response)).toEqual([1, 2, 3]);
+    });
+
+    test("applies the filters to the reservations of a date", async () => {
+      await knex("reservations")
+        .where({ reservation_id: 2 })
+        .update({ status: "seated" });
+
+      const seated = await listReservations("date=2020-12-30&status=seated");
+      const large = await listReservations("date=2020-12-30&people=999");
+
+      expect(seated.body.error).toBeUndefined();
+      expect(ids(seated)).toEqual([2]);
+      expect(large.body.error).toBeUndefined();
+      expect(large.body.data).toHaveLength(0);
+    });
+
+    test("matches names containing the value, without treating it as SQL", async () => {
+      const injected = await listReservations(
+        `first_name=${encodeURIComponent("x' OR '1'='1")}`
+      );
+      const wildcard = await listReservations("first_name=%25");
+      const partial = await listReservations("first_name=ric");
+
+      expect(injected.body.error).toBeUndefined();
+      expect(injected.body.data).toHaveLength(0);
+      expect(wildcard.body.data).toHaveLength(0);
+      expect(ids(partial)).toEqual([1]);
+    });
+
+    test("returns 400 for an unknown field", async () => {
+      const response = await listReservations("created_at=2020");
+
+      expect(response.body.error).toContain("created_at");
+      expect(response.status).toBe(400);
+    });
+
+    test("returns 400 for an operator the field does not support", async () => {
+      const response = await listReservations("status[gte]=booked");
+
+      expect(response.body.error).toContain("gte");
+      expect(response.status).toBe(400);
+    });
+
+    test("returns 400 for an invalid value", async () => {
+      const statuses = await listReservations("status=booked,unknown");
+      const people = await listReservations("people[gte]=six");
+
+      expect(statuses.body.error).toContain("status");
+      expect(statuses.status).toBe(400);
+      expect(people.body.error).toContain("people");
+      expect(people.status).toBe(400);
+    });
+  });
+});
@@ -0,0 +1,121 @@
+const request = require("supertest");
+
+const app = require("../src/app");
+const knex = require("../src/db/connection");
+const { RESERVATION, createReservation } = require("./fixtures");
+
+describe("Reservation history", () => {
+  beforeAll(() => {
+    return knex.migrate
+      .forceFreeMigrationsLock()
+      .then(() => knex.migrate.rollback(null, true))
+      .then(() => knex.migrate.latest());
+  });
+
+  beforeEach(() => {
+    return knex.seed.run();
+  });
+
+  afterAll(async () => {
+    return await knex.migrate.rollback(null, true).then(() => knex.destroy());
+  });
+
+  function getHistory(reservation_id) {
+    return request(app)
+      .get(`/reservations/${reservation_id}/history`)
+      .set("Accept", "application/json");
+  }
+
+  describe("GET /reservations/:reservation_id/history", () => {
+    test("returns 404 for non-existent id", async () => {
+      const response = await getHistory(99999);
+
+      expect(response.body.error).toContain("99999");
+      expect(response.status).toBe(404);
+    });
+
+    test("records the starting status of a new reservation", async () => {
+      const { reservation_id } = await createReservation(
+        {},
+        { "X-Actor": "Host" }
+      );
+
+      const response = await getHistory(reservation_id);
+
+      expect(response.body.error).toBeUndefined();
+      expect(response.body.data).toEqual([
+        expect.objectContaining({
+          field: "status",
+          old_value: null,
+          new_value: "booked",
+          actor: "Host",
+        }),
+      ]);
+    });
+
+    test("records every status change from booked to finished", async () => {
+      const { reservation_id } = await createReservation(
+        {},
+        { "X-Actor": "Host" }
+      );
+      await request(app)
+        .put("/tables/3/seat")
+        .set("Accept", "application/json")
+        .set("X-Actor", "Server")
+        .send({ data: { reservation_id } });
+      await request(app)
+        .delete("/tables/3/seat")
+        .set("Accept", "application/json")
+        .set("X-Actor", "Busser");
+
+      const response = await getHistory(reservation_id);
+
+      expect(
+        response.body.data.map(({ old_value, new_value, actor }) => [
+          old_value,
+          new_value,
+          actor,
+        ])
+      ).toEqual([
+        [null, "booked", "Host"],
+        ["booked", "seated", "Server"],
+        ["seated", "finished", "Busser"],
+      ]);
+    });
+
+    test("records the old and new value of every edited field", async () => {
+      const created = await createReservation();
+      await request(app)
+        .put(`/reservations/${created.reservation_id}`)
+        .set("Accept", "application/json")
+        .send({
+          data: {
+            ...RESERVATION,
+            people: 4,
+            reservation_time: "19:30",
+            status: "booked",
+          },
+        });
+
+      const response = await getHistory(created.reservation_id);
+      const edits = response.body.data.slice(1);
+
+      expect(edits).toEqual(
+        expect.arrayContaining([
+          expect.objectContaining({
+            field: "people",
+            old_value: "2",
+            new_value: "4",
+            actor: null,
+          }),
+          expect.objectContaining({
+            field: "reservation_time",
+            old_value: "19:00:00",
+            new_value: "19:30:00",
+          }),
+        ])
+      );
+      expect(edits.map(({ field }) => field)).not.toContain("updated_at");
+    });
+  });
+});
@@ -0,0 +1,159 @@
+const request = require("supertest");
+
+const app = require("../src/app");
+const knex = require("../src/db/connection");
+const { insertReservation, postReservation } = require("./fixtures");
+
+describe("Table attributes and seating preferences", () => {
+  beforeAll(() => {
+    return knex.migrate
+      .forceFreeMigrationsLock()
+      .then(() => knex.migrate.rollback(null, true))
+      .then(() => knex.migrate.latest());
+  });
+
+  beforeEach(() => {
+    return knex.seed.run();
+  });
+
+  afterAll(async () => {
+    return await knex.migrate.rollback(null, true).then(() => knex.destroy());
+  });
+
+  function seat(table_id, reservation_id) {
+    return request(app)
+      .put(`/tables/${table_id}/seat`)
+      .set("Accept", "application/json")
+      .send({ data: { reservation_id } });
+  }
+
+  describe("POST /tables", () => {
+    test("returns 400 if attributes has an unknown attribute", async () => {
+      const response = await request(app)
+        .post("/tables")
+        .set("Accept", "application/json")
+        .send({
+          data: { table_name: "#3", capacity: 4, attributes: ["roof"] },
+        });
+
+      expect(response.body.error).toContain("attributes");
+      expect(response.status).toBe(400);
+    });
+
+    test("returns 201 with the table's attributes", async () => {
+      const response = await request(app)
+        .post("/tables")
+        .set("Accept", "application/json")
+        .send({
+          data: {
+            table_name: "#3",
+            capacity: 4,
+            attributes: ["booth", "window"],
+          },
+        });
+
+      expect(response.body.error).toBeUndefined();
+      expect(response.body.data.attributes).toEqual(["booth", "window"]);
+      expect(response.status).toBe(201);
+    });
+  });
+
+  describe("POST /reservations", () => {
+    test("returns 400 if seating_requirements is not a list of attributes", async () => {
+      const response = await postReservation({
+        seating_requirements: "accessible",
+      });
+
+      expect(response.body.error).toContain("seating_requirements");
+      expect(response.status).toBe(400);
+    });
+
+    test("returns 201 with the reservation's seating preferences and requirements", async () => {
+      const response = await postReservation({
+        seating_preferences: ["window"],
+        seating_requirements: ["accessible"],
+      });
+
+      expect(response.body.error).toBeUndefined();
+      expect(response.body.data).toEqual(
+        expect.objectContaining({
+          seating_preferences: ["window"],
+          seating_requirements: ["accessible"],
+        })
+      );
+      expect(response.status).toBe(201);
+    });
+  });
+
+  describe("PUT /tables/:table_id/seat", () => {
+    test("returns 400 if the table does not meet a seating requirement", async () => {
+      const { reservation_id } = await insertReservation({
+        people: 4,
+        seating_requirements: ["accessible"],
+      });
+
+      const response = await seat(3, reservation_id);
+
+      expect(response.body.error).toContain("accessible");
+      expect(response.status).toBe(400);
+    });
+
+    test("seats the party with a warning if a seating preference is not met", async () => {
+      await knex("tables")
+        .where({ table_id: 3 })
+        .update({ attributes: ["accessible"] });
+      const { reservation_id } = await insertReservation({
+        people: 4,
+        seating_preferences: ["booth"],
+        seating_requirements: ["accessible"],
+      });
+
+      const response = await seat(3, reservation_id);
+
+      expect(response.body.error).toBeUndefined();
+      expect(response.body.data.occupied).toBe(true);
+      expect(response.body.warnings).toHaveLength(1);
+      expect(response.body.warnings[0]).toContain("booth");
+      expect(response.status).toBe(200);
+    });
+  });
+
+  describe("GET /reservations/:reservation_id/table-suggestions", () => {
+    test("only suggests tables that meet the seating requirements", async () => {
+      await knex("tables")
+        .where({ table_id: 4 })
+        .update({ attributes: ["accessible"] });
+      const { reservation_id } = await insertReservation({
+        people: 4,
+        seating_requirements: ["accessible"],
+      });
+
+      const response = await request(app)
+        .get(`/reservations/${reservation_id}/table-suggestions`)
+        .set("Accept", "application/json");
+
+      expect(response.body.error).toBeUndefined();
+      expect(
+        response.body.data.map(({ tables }) => tables[0].table_name)
+      ).toEqual(["#2"]);
+    });
+
+    test("suggests tables with the seating preferences first", async () => {
+      await knex("tables")
+        .where({ table_id: 4 })
+        .update({ attributes: ["window"] });
+      const { reservation_id } = await insertReservation({
+        people: 4,
+        seating_preferences: ["window"],
+      });
+
+      const response = await request(app)
+        .get(`/reservations/${reservation_id}/table-suggestions`)
+        .set("Accept", "application/json");
+
+      expect(
+        response.body.data.map(({ tables }) => tables[0].table_name)
+      ).toEqual(["#2", "#1"]);
+    });
+  });
+});
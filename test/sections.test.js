@@ -0,0 +1,251 @@
+const request = require("supertest");
+
+const app = require("../src/app");
+const knex = require("../src/db/connection");
+const { toDateString } = require("../src/utils/time");
+
+describe("Sections and server assignments", () => {
+  beforeAll(() => {
+    return knex.migrate
+      .forceFreeMigrationsLock()
+      .then(() => knex.migrate.rollback(null, true))
+      .then(() => knex.migrate.latest());
+  });
+
+  beforeEach(() => {
+    return knex.seed.run();
+  });
+
+  afterAll(async () => {
+    return await knex.migrate.rollback(null, true).then(() => knex.destroy());
+  });
+
+  const assignment = {
+    server_name: "Sam",
+    shift_date: "2030-01-02",
+    service_name: "All Day",
+  };
+
+  function createSection(data) {
+    return request(app)
+      .post("/sections")
+      .set("Accept", "application/json")
+      .send({ data });
+  }
+
+  function assignServer(section_id, data) {
+    return request(app)
+      .post(`/sections/${section_id}/servers`)
+      .set("Accept", "application/json")
+      .send({ data: { ...assignment, ...data } });
+  }
+
+  describe("POST /sections", () => {
+    test("returns 400 if section_name is missing", async () => {
+      const response = await createSection({ floor: "Rooftop" });
+
+      expect(response.body.error).toContain("section_name");
+      expect(response.status).toBe(400);
+    });
+
+    test("returns 400 if the section_name is already taken", async () => {
+      const response = await createSection({ section_name: "Bar" });
+
+      expect(response.body.error).toContain("Bar");
+      expect(response.status).toBe(400);
+    });
+
+    test("returns 201 if data is valid", async () => {
+      const response = await createSection({
+        section_name: "Patio",
+        floor: "Rooftop",
+      });
+
+      expect(response.body.error).toBeUndefined();
+      expect(response.body.data).toEqual(
+        expect.objectContaining({ section_name: "Patio", floor: "Rooftop" })
+      );
+      expect(response.status).toBe(201);
+    });
+  });
+
+  describe("GET /sections/:section_id", () => {
+    test("returns 404 for non-existent id", async () => {
+      const response = await request(app)
+        .get("/sections/99999")
+        .set("Accept", "application/json");
+
+      expect(response.body.error).toContain("99999");
+      expect(response.status).toBe(404);
+    });
+
+    test("returns the section with its tables and servers for the date", async () => {
+      await assignServer(2, {});
+
+      const response = await request(app)
+        .get("/sections/2?date=2030-01-02")
+        .set("Accept", "application/json");
+
+      expect(response.body.error).toBeUndefined();
+      expect(response.body.data.section_name).toBe("Bar");
+      expect(
+        response.body.data.tables.map(({ table_name }) => table_name)
+      ).toEqual(["Bar #1", "Bar #2"]);
+      expect(response.body.data.servers).toHaveLength(1);
+      expect(response.body.data.servers[0].server_name).toBe("Sam");
+    });
+  });
+
+  describe("POST /sections/:section_id/servers", () => {
+    test("returns 400 if shift_date is not a date", async () => {
+      const response = await assignServer(1, { shift_date: "tomorrow" });
+
+      expect(response.body.error).toContain("shift_date");
+      expect(response.status).toBe(400);
+    });
+
+    test("returns 400 if the section already has a server for the shift", async () => {
+      await assignServer(1, {});
+      const response = await assignServer(1, { server_name: "Alex" });
+
+      expect(response.body.error).toContain("Sam");
+      expect(response.status).toBe(400);
+    });
+
+    test("lists the servers of each section for a shift date", async () => {
+      await assignServer(1, {});
+      await assignServer(2, { server_name: "Alex" });
+      await assignServer(2, { server_name: "Kim", shift_date: "2030-01-03" });
+
+      const response = await request(app)
+        .get("/sections?date=2030-01-02")
+        .set("Accept", "application/json");
+
+      expect(response.body.error).toBeUndefined();
+      expect(
+        response.body.data.map(({ section_name, servers }) => [
+          section_name,
+          servers.map(({ server_name }) => server_name),
+        ])
+      ).toEqual([
+        ["Bar", ["Alex"]],
+        ["Main Room", ["Sam"]],
+      ]);
+    });
+
+    test("removes a server from a shift", async () => {
+      const created = await assignServer(1, {});
+
+      const response = await request(app)
+        .delete(`/sections/1/servers/${created.body.data.assignment_id}`)
+        .set("Accept", "application/json");
+
+      expect(response.status).toBe(204);
+      const servers = await request(app)
+        .get("/sections/1/servers?date=2030-01-02")
+        .set("Accept", "application/json");
+      expect(servers.body.data).toHaveLength(0);
+    });
+  });
+
+  describe("GET /tables", () => {
+    test("filters tables by section_id", async () => {
+      const response = await request(app)
+        .get("/tables?section_id=1")
+        .set("Accept", "application/json");
+
+      expect(response.body.error).toBeUndefined();
+      expect(response.body.data.map(({ table_name }) => table_name)).toEqual([
+        "#1",
+        "#2",
+      ]);
+      expect(response.body.data[0].section_name).toBe("Main Room");
+    });
+
+    test("filters tables by floor", async () => {
+      await createSection({ section_name: "Patio", floor: "Rooftop" });
+      await knex("tables").insert({
+        table_name: "Patio #1",
+        capacity: 4,
+        section_id: 3,
+      });
+
+      const response = await request(app)
+        .get("/tables?floor=Rooftop")
+        .set("Accept", "application/json");
+
+      expect(response.body.data.map(({ table_name }) => table_name)).toEqual([
+        "Patio #1",
+      ]);
+    });
+
+    test("returns 400 if section_id is not an id", async () => {
+      const response = await request(app)
+        .get("/tables?section_id=patio")
+        .set("Accept", "application/json");
+
+      expect(response.body.error).toContain("section_id");
+      expect(response.status).toBe(400);
+    });
+  });
+
+  describe("POST /tables", () => {
+    test("returns 404 if the section does not exist", async () => {
+      const response = await request(app)
+        .post("/tables")
+        .set("Accept", "application/json")
+        .send({ data: { table_name: "#3", capacity: 4, section_id: 99 } });
+
+      expect(response.body.error).toContain("99");
+      expect(response.status).toBe(404);
+    });
+  });
+
+  describe("GET /reservations/:reservation_id/table-suggestions", () => {
+    test("suggests the less busy server first between tables of the same size", async () => {
+      // The restaurant is open all day today, so the servers below are on the current shift
+      await knex("operating_hours").del();
+      await knex("operating_hours").insert({
+        day_of_week: new Date().getDay(),
+        service_name: "All Day",
+        open_time: "00:00",
+        close_time: "23:59",
+        last_seating_offset: 0,
+      });
+      await createSection({ section_name: "Patio", floor: "Ground" });
+      const shift_date = toDateString(new Date());
+      await assignServer(1, { server_name: "Sam", shift_date });
+      await assignServer(3, { server_name: "Alex", shift_date });
+      await knex("tables").insert({
+        table_name: "#3",
+        capacity: 6,
+        section_id: 3,
+      });
+      const [seated, booked] = await knex("reservations")
+        .insert(
+          [5, 4].map((people) => ({
+            first_name: "first",
+            last_name: "last",
+            mobile_number: "800-555-1212",
+            reservation_date: "2030-01-02",
+            reservation_time: "19:00",
+            people,
+          }))
+        )
+        .returning("*");
+      await request(app)
+        .put("/tables/3/seat")
+        .set("Accept", "application/json")
+        .send({ data: { reservation_id: seated.reservation_id } });
+
+      const response = await request(app)
+        .get(`/reservations/${booked.reservation_id}/table-suggestions`)
+        .set("Accept", "application/json");
+
+      expect(response.body.error).toBeUndefined();
+      expect(
+        response.body.data.map(({ tables }) => tables[0].table_name)
+      ).toEqual(["#3", "#2"]);
+    });
+  });
+});
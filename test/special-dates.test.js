@@ -0,0 +1,164 @@
+const request = require("supertest");
+
+const app = require("../src/app");
+const knex = require("../src/db/connection");
+const { RESERVATION } = require("./fixtures");
+
+describe("Special dates (blackouts and special hours)", () => {
+  beforeAll(() => {
+    return knex.migrate
+      .forceFreeMigrationsLock()
+      .then(() => knex.migrate.rollback(null, true))
+      .then(() => knex.migrate.latest());
+  });
+
+  beforeEach(() => {
+    return knex.seed.run();
+  });
+
+  afterAll(async () => {
+    return await knex.migrate.rollback(null, true).then(() => knex.destroy());
+  });
+
+  const reservation = {
+    ...RESERVATION,
+    reservation_date: "2030-12-25",
+    reservation_time: "18:00",
+  };
+
+  describe("POST /special-dates", () => {
+    test("returns 400 if special_date is missing", async () => {
+      const response = await request(app)
+        .post("/special-dates")
+        .set("Accept", "application/json")
+        .send({ data: { description: "Christmas" } });
+
+      expect(response.body.error).toContain("special_date");
+      expect(response.status).toBe(400);
+    });
+
+    test("returns 400 if special hours are missing a close_time", async () => {
+      const data = {
+        special_date: "2030-12-24",
+        closed: false,
+        open_time: "10:30",
+      };
+
+      const response = await request(app)
+        .post("/special-dates")
+        .set("Accept", "application/json")
+        .send({ data });
+
+      expect(response.body.error).toContain("close_time");
+      expect(response.status).toBe(400);
+    });
+
+    test("returns 400 if the date already has a special date", async () => {
+      const data = { special_date: "2030-12-25", description: "Christmas" };
+
+      await request(app)
+        .post("/special-dates")
+        .set("Accept", "application/json")
+        .send({ data });
+
+      const response = await request(app)
+        .post("/special-dates")
+        .set("Accept", "application/json")
+        .send({ data });
+
+      expect(response.body.error).toContain("already");
+      expect(response.status).toBe(400);
+    });
+
+    test("returns 201 and flags booked reservations on a blackout", async () => {
+      const booked = await request(app)
+        .post("/reservations")
+        .set("Accept", "application/json")
+        .send({ data: reservation });
+
+      expect(booked.status).toBe(201);
+
+      const response = await request(app)
+        .post("/special-dates")
+        .set("Accept", "application/json")
+        .send({
+          data: { special_date: "2030-12-25", description: "Christmas" },
+        });
+
+      expect(response.body.error).toBeUndefined();
+      expect(response.body.data.conflicting_reservations).toEqual([
+        expect.objectContaining({
+          reservation_id: booked.body.data.reservation_id,
+        }),
+      ]);
+      expect(response.status).toBe(201);
+    });
+  });
+
+  describe("GET /special-dates", () => {
+    test("returns 400 if the from query is not a date", async () => {
+      const response = await request(app)
+        .get("/special-dates?from=garbage")
+        .set("Accept", "application/json");
+
+      expect(response.body.error).toContain("from");
+      expect(response.status).toBe(400);
+    });
+  });
+
+  describe("POST /reservations", () => {
+    test("returns 400 if the date is a blackout", async () => {
+      await request(app)
+        .post("/special-dates")
+        .set("Accept", "application/json")
+        .send({
+          data: { special_date: "2030-12-25", description: "Christmas" },
+        });
+
+      const response = await request(app)
+        .post("/reservations")
+        .set("Accept", "application/json")
+        .send({ data: reservation });
+
+      expect(response.body.error).toContain("Christmas");
+      expect(response.status).toBe(400);
+    });
+
+    test("uses the special hours instead of the weekly hours", async () => {
+      await request(app)
+        .post("/special-dates")
+        .set("Accept", "application/json")
+        .send({
+          data: {
+            special_date: "2030-12-24",
+            description: "Christmas Eve",
+            closed: false,
+            open_time: "10:30",
+            close_time: "16:00",
+            last_seating_offset: 60,
+          },
+        });
+
+      let response = await request(app)
+        .post("/reservations")
+        .set("Accept", "application/json")
+        .send({ data: { ...reservation, reservation_date: "2030-12-24" } });
+
+      expect(response.body.error).toContain("10:30 and 15:00");
+      expect(response.status).toBe(400);
+
+      response = await request(app)
+        .post("/reservations")
+        .set("Accept", "application/json")
+        .send({
+          data: {
+            ...reservation,
+            reservation_date: "2030-12-24",
+            reservation_time: "12:00",
+          },
+        });
+
+      expect(response.status).toBe(201);
+    });
+  });
+});
@@ -0,0 +1,147 @@
+const request = require("supertest");
+
+const app = require("../src/app");
+const knex = require("../src/db/connection");
+const { insertReservation } = require("./fixtures");
+
+describe("Table holds", () => {
+  beforeAll(() => {
+    return knex.migrate
+      .forceFreeMigrationsLock()
+      .then(() => knex.migrate.rollback(null, true))
+      .then(() => knex.migrate.latest());
+  });
+
+  let tableOne;
+  let tableTwo;
+
+  beforeEach(async () => {
+    await knex.seed.run();
+    tableOne = await knex("tables").where("table_name", "#1").first();
+    tableTwo = await knex("tables").where("table_name", "#2").first();
+  });
+
+  afterAll(async () => {
+    return await knex.migrate.rollback(null, true).then(() => knex.destroy());
+  });
+
+  function holdTables(reservation_id, table_ids) {
+    return request(app)
+      .put(`/reservations/${reservation_id}/hold`)
+      .set("Accept", "application/json")
+      .send({ data: { table_ids } });
+  }
+
+  describe("PUT /reservations/:reservation_id/hold", () => {
+    test("returns 400 if table_ids is missing", async () => {
+      const reservation = await insertReservation();
+      const response = await holdTables(reservation.reservation_id);
+
+      expect(response.body.error).toContain("table_ids");
+      expect(response.status).toBe(400);
+    });
+
+    test("returns 400 if the held tables are too small", async () => {
+      const reservation = await insertReservation();
+      const barTable = await knex("tables")
+        .where("table_name", "Bar #1")
+        .first();
+      const response = await holdTables(reservation.reservation_id, [
+        barTable.table_id,
+      ]);
+
+      expect(response.body.error).toContain("capacity");
+      expect(response.status).toBe(400);
+    });
+
+    test("holds the table and shows it in GET /tables?date=", async () => {
+      const reservation = await insertReservation();
+      const response = await holdTables(reservation.reservation_id, [
+        tableOne.table_id,
+      ]);
+
+      expect(response.body.error).toBeUndefined();
+      expect(response.body.data).toEqual([
+        expect.objectContaining({ table_id: tableOne.table_id }),
+      ]);
+      expect(response.body.warnings).toEqual([]);
+
+      const listResponse = await request(app)
+        .get("/tables?date=2030-01-02")
+        .set("Accept", "application/json");
+
+      const heldTable = listResponse.body.data.find(
+        ({ table_id }) => table_id === tableOne.table_id
+      );
+      expect(heldTable.holds).toEqual([
+        expect.objectContaining({
+          reservation_id: reservation.reservation_id,
+        }),
+      ]);
+    });
+
+    test("warns about overlapping holds on the same table", async () => {
+      const first = await insertReservation();
+      const second = await insertReservation({ reservation_time: "19:30" });
+
+      await holdTables(first.reservation_id, [tableOne.table_id]);
+      const response = await holdTables(second.reservation_id, [
+        tableOne.table_id,
+      ]);
+
+      expect(response.status).toBe(200);
+      expect(response.body.warnings).toHaveLength(1);
+      expect(response.body.warnings[0]).toContain(`#${first.reservation_id}`);
+    });
+  });
+
+  describe("PUT /reservations/:reservation_id/seat", () => {
+    test("seats the reservation at its held table", async () => {
+      const reservation = await insertReservation();
+      await holdTables(reservation.reservation_id, [tableTwo.table_id]);
+
+      const response = await request(app)
+        .put(`/reservations/${reservation.reservation_id}/seat`)
+        .set("Accept", "application/json");
+
+      expect(response.body.error).toBeUndefined();
+      expect(response.body.data.table_id).toBe(tableTwo.table_id);
+
+      const holds = await knex("table_holds").where({
+        reservation_id: reservation.reservation_id,
+      });
+      expect(holds).toHaveLength(0);
+    });
+  });
+
+  describe("PUT /tables/:table_id/seat", () => {
+    test("warns when seating away from the held table", async () => {
+      const reservation = await insertReservation();
+      await holdTables(reservation.reservation_id, [tableTwo.table_id]);
+
+      const response = await request(app)
+        .put(`/tables/${tableOne.table_id}/seat`)
+        .set("Accept", "application/json")
+        .send({ data: { reservation_id: reservation.reservation_id } });
+
+      expect(response.status).toBe(200);
+      expect(response.body.warnings[0]).toContain("pre-assigned");
+    });
+  });
+
+  describe("DELETE /reservations/:reservation_id/hold", () => {
+    test("releases the held tables", async () => {
+      const reservation = await insertReservation();
+      await holdTables(reservation.reservation_id, [tableOne.table_id]);
+
+      const response = await request(app)
+        .delete(`/reservations/${reservation.reservation_id}/hold`)
+        .set("Accept", "application/json");
+
+      expect(response.status).toBe(204);
+
+      const holds = await knex("table_holds");
+      expect(holds).toHaveLength(0);
+    });
+  });
+});
@@ -0,0 +1,287 @@
+const request = require("supertest");
+
+const app = require("../src/app");
+const knex = require("../src/db/connection");
+const tablesService = require("../src/tables/tables.service");
+const { insertReservation } = require("./fixtures");
+
+describe("Table management", () => {
+  beforeAll(() => {
+    return knex.migrate
+      .forceFreeMigrationsLock()
+      .then(() => knex.migrate.rollback(null, true))
+      .then(() => knex.migrate.latest());
+  });
+
+  let tableOne;
+  let tableTwo;
+
+  beforeEach(async () => {
+    await knex.seed.run();
+    tableOne = await knex("tables").where("table_name", "#1").first();
+    tableTwo = await knex("tables").where("table_name", "#2").first();
+  });
+
+  afterAll(async () => {
+    return await knex.migrate.rollback(null, true).then(() => knex.destroy());
+  });
+
+  async function seat(table, reservation, table_ids) {
+    return request(app)
+      .put(`/tables/${table.table_id}/seat`)
+      .set("Accept", "application/json")
+      .send({
+        data: { reservation_id: reservation.reservation_id, table_ids },
+      });
+  }
+
+  function editTable(method, table, data) {
+    return request(app)
+      [method](`/tables/${table.table_id}`)
+      .set("Accept", "application/json")
+      .send({ data });
+  }
+
+  describe("PUT /tables/:table_id", () => {
+    test("replaces the table's details", async () => {
+      const response = await editTable("put", tableOne, {
+        table_name: "Window #1",
+        capacity: 4,
+        attributes: ["window"],
+      });
+
+      expect(response.body.error).toBeUndefined();
+      expect(response.body.data).toEqual(
+        expect.objectContaining({
+          table_id: tableOne.table_id,
+          table_name: "Window #1",
+          capacity: 4,
+          attributes: ["window"],
+          section_id: null,
+        })
+      );
+    });
+
+    test("accepts a table that was just read", async () => {
+      const { body } = await request(app)
+        .get(`/tables/${tableOne.table_id}`)
+        .set("Accept", "application/json");
+
+      const response = await editTable("put", tableOne, {
+        ...body.data,
+        capacity: 8,
+      });
+
+      expect(response.body.error).toBeUndefined();
+      expect(response.body.data.capacity).toBe(8);
+    });
+
+    test("returns 400 if the table_name is missing", async () => {
+      const response = await editTable("put", tableOne, { capacity: 4 });
+
+      expect(response.body.error).toContain("table_name");
+      expect(response.status).toBe(400);
+    });
+
+    test("returns 400 if the reservation_id is changed", async () => {
+      const reservation = await insertReservation();
+
+      const response = await editTable("put", tableOne, {
+        ...tableOne,
+        reservation_id: reservation.reservation_id,
+      });
+
+      expect(response.body.error).toContain("seat");
+      expect(response.status).toBe(400);
+    });
+  });
+
+  describe("PATCH /tables/:table_id", () => {
+    test("changes only the fields in the request body", async () => {
+      const response = await editTable("patch", tableTwo, { capacity: 3 });
+
+      expect(response.body.error).toBeUndefined();
+      expect(response.body.data).toEqual(
+        expect.objectContaining({
+          table_name: tableTwo.table_name,
+          section_id: tableTwo.section_id,
+          capacity: 3,
+        })
+      );
+    });
+
+    test("returns 400 if the capacity is lowered below the seated party", async () => {
+      const reservation = await insertReservation({ people: 6 });
+      await seat(tableOne, reservation);
+
+      const response = await editTable("patch", tableOne, { capacity: 2 });
+
+      expect(response.body.error).toContain("capacity");
+      expect(response.status).toBe(400);
+    });
+
+    test("counts the combined tables of the seated party", async () => {
+      const reservation = await insertReservation({
+        people: tableOne.capacity + tableTwo.capacity - 1,
+      });
+      await seat(tableOne, reservation, [tableTwo.table_id]);
+
+      const lowered = await editTable("patch", tableOne, {
+        capacity: tableOne.capacity - 1,
+      });
+      const tooLow = await editTable("patch", tableOne, {
+        capacity: tableOne.capacity - 2,
+      });
+
+      expect(lowered.body.error).toBeUndefined();
+      expect(tooLow.status).toBe(400);
+    });
+
+    test("returns 404 if the table is deleted before it is changed", async () => {
+      await knex("tables").where({ table_id: tableOne.table_id }).del();
+
+      await expect(
+        tablesService.update(tableOne.table_id, { capacity: 8 }, null)
+      ).rejects.toEqual(expect.objectContaining({ status: 404 }));
+    });
+
+    test("returns 412 with a stale If-Match", async () => {
+      const loaded = await request(app)
+        .get(`/tables/${tableOne.table_id}`)
+        .set("Accept", "application/json");
+      await editTable("patch", tableOne, { capacity: 5 });
+
+      const response = await request(app)
+        .patch(`/tables/${tableOne.table_id}`)
+        .set("Accept", "application/json")
+        .set("If-Match", loaded.headers.etag)
+        .send({ data: { capacity: 7 } });
+
+      expect(response.status).toBe(412);
+    });
+  });
+
+  describe("retired tables", () => {
+    test("are hidden from the tables list, unless listing retired tables", async () => {
+      await editTable("patch", tableOne, { retired: true });
+
+      const active = await request(app)
+        .get("/tables")
+        .set("Accept", "application/json");
+      const retired = await request(app)
+        .get("/tables?retired=true")
+        .set("Accept", "application/json");
+
+      expect(active.body.data.map(({ table_id }) => table_id)).not.toContain(
+        tableOne.table_id
+      );
+      expect(retired.body.data.map(({ table_id }) => table_id)).toEqual([
+        tableOne.table_id,
+      ]);
+    });
+
+    test("cannot be seated", async () => {
+      const reservation = await insertReservation();
+      await editTable("patch", tableOne, { retired: true });
+
+      const response = await seat(tableOne, reservation);
+
+      expect(response.body.error).toContain("retired");
+      expect(response.status).toBe(400);
+    });
+
+    test("cannot be seated from the waitlist", async () => {
+      const joined = await request(app)
+        .post("/waitlist")
+        .set("Accept", "application/json")
+        .send({
+          data: {
+            first_name: "Walk",
+            last_name: "In",
+            mobile_number: "800-555-3333",
+            people: 2,
+          },
+        });
+      await editTable("patch", tableOne, { retired: true });
+
+      const response = await request(app)
+        .put(`/waitlist/${joined.body.data.waitlist_id}/seat`)
+        .set("Accept", "application/json")
+        .send({ data: { table_id: tableOne.table_id } });
+
+      expect(response.body.error).toContain("retired");
+      expect(response.status).toBe(400);
+      const table = await knex("tables")
+        .where({ table_id: tableOne.table_id })
+        .first();
+      expect(table.occupied).toBe(false);
+    });
+
+    test("are not seated if retired before the table is locked", async () => {
+      const reservation = await insertReservation();
+      await knex("tables")
+        .where({ table_id: tableOne.table_id })
+        .update({ retired: true });
+
+      await expect(
+        tablesService.seatReservation(
+          reservation.reservation_id,
+          tableOne.table_id
+        )
+      ).rejects.toEqual(expect.objectContaining({ status: 409 }));
+    });
+
+    test("cannot be retired while a party is seated", async () => {
+      const reservation = await insertReservation();
+      await seat(tableOne, reservation);
+
+      const response = await editTable("patch", tableOne, { retired: true });
+
+      expect(response.body.error).toContain("retired");
+      expect(response.status).toBe(400);
+    });
+
+    test("releases the holds on the table", async () => {
+      const reservation = await insertReservation();
+      await knex("table_holds").insert({
+        table_id: tableOne.table_id,
+        reservation_id: reservation.reservation_id,
+      });
+
+      const response = await editTable("patch", tableOne, { retired: true });
+
+      expect(response.body.error).toBeUndefined();
+      expect(response.status).toBe(200);
+      const holds = await knex("table_holds").where({
+        table_id: tableOne.table_id,
+      });
+      expect(holds).toHaveLength(0);
+    });
+  });
+
+  describe("DELETE /tables/:table_id", () => {
+    test("deletes a free table", async () => {
+      const response = await request(app)
+        .delete(`/tables/${tableOne.table_id}`)
+        .set("Accept", "application/json");
+
+      expect(response.status).toBe(204);
+      const deleted = await knex("tables")
+        .where({ table_id: tableOne.table_id })
+        .first();
+      expect(deleted).toBeUndefined();
+    });
+
+    test("returns 400 if the table is occupied", async () => {
+      const reservation = await insertReservation();
+      await seat(tableOne, reservation);
+
+      const response = await request(app)
+        .delete(`/tables/${tableOne.table_id}`)
+        .set("Accept", "application/json");
+
+      expect(response.body.error).toContain("occupied");
+      expect(response.status).toBe(400);
+    });
+  });
+});
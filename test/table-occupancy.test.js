@@ -0,0 +1,160 @@
+const request = require("supertest");
+
+const app = require("../src/app");
+const knex = require("../src/db/connection");
+const { insertReservation } = require("./fixtures");
+
+describe("Table occupancy for a date", () => {
+  beforeAll(() => {
+    return knex.migrate
+      .forceFreeMigrationsLock()
+      .then(() => knex.migrate.rollback(null, true))
+      .then(() => knex.migrate.latest());
+  });
+
+  let tableOne;
+
+  beforeEach(async () => {
+    await knex.seed.run();
+    tableOne = await knex("tables").where("table_name", "#1").first();
+  });
+
+  afterAll(async () => {
+    return await knex.migrate.rollback(null, true).then(() => knex.destroy());
+  });
+
+  function listTables(date) {
+    return request(app)
+      .get(`/tables?date=${date}`)
+      .set("Accept", "application/json");
+  }
+
+  describe("GET /tables?date=...", () => {
+    test("returns the reservations, occupancy windows and free gaps of each table", async () => {
+      const lunch = await insertReservation({
+        reservation_time: "12:00",
+        duration: 90,
+      });
+      const dinner = await insertReservation({ duration: 120 });
+      await knex("table_holds").insert([
+        { table_id: tableOne.table_id, reservation_id: lunch.reservation_id },
+        { table_id: tableOne.table_id, reservation_id: dinner.reservation_id },
+      ]);
+
+      const response = await listTables("2030-01-02");
+
+      expect(response.body.error).toBeUndefined();
+      const table = response.body.data.find(
+        ({ table_id }) => table_id === tableOne.table_id
+      );
+      expect(
+        table.reservations.map(({ reservation_id }) => reservation_id)
+      ).toEqual([lunch.reservation_id, dinner.reservation_id]);
+      expect(table.occupancy).toEqual([
+        {
+          reservation_id: lunch.reservation_id,
+          status: "booked",
+          start: "12:00",
+          end: "13:30",
+        },
+        {
+          reservation_id: dinner.reservation_id,
+          status: "booked",
+          start: "19:00",
+          end: "21:00",
+        },
+      ]);
+      expect(table.free_gaps).toEqual([
+        { start: "10:30", end: "12:00", minutes: 90 },
+        { start: "13:30", end: "19:00", minutes: 330 },
+        { start: "21:00", end: "22:30", minutes: 90 },
+      ]);
+    });
+
+    test("a party seated past its turn occupies the table until now", async () => {
+      const now = new Date();
+      const today = [
+        now.getFullYear(),
+        String(now.getMonth() + 1).padStart(2, "0"),
+        String(now.getDate()).padStart(2, "0"),
+      ].join("-");
+      const seated = await insertReservation({
+        reservation_date: today,
+        reservation_time: "00:00",
+        duration: 15,
+        status: "seated",
+      });
+      await knex("tables")
+        .where({ table_id: tableOne.table_id })
+        .update({ occupied: true, reservation_id: seated.reservation_id });
+
+      const toTime = (date) =>
+        `${String(date.getHours()).padStart(2, "0")}:${String(
+          date.getMinutes()
+        ).padStart(2, "0")}`;
+      const turnEnd = "00:15";
+      const before = toTime(now);
+      const response = await listTables(today);
+      const after = toTime(new Date());
+
+      const table = response.body.data.find(
+        ({ table_id }) => table_id === tableOne.table_id
+      );
+      expect(table.occupancy).toEqual([
+        expect.objectContaining({
+          reservation_id: seated.reservation_id,
+          status: "seated",
+          start: "00:00",
+        }),
+      ]);
+      const { end } = table.occupancy[0];
+      expect(end >= (before > turnEnd ? before : turnEnd)).toBeTruthy();
+      expect(end <= (after > turnEnd ? after : turnEnd)).toBeTruthy();
+    });
+
+    test("a party still seated on a past date occupies the table until the end of the day", async () => {
+      const seated = await insertReservation({
+        reservation_date: "2020-12-31",
+        reservation_time: "18:00",
+        duration: 90,
+        status: "seated",
+      });
+      await knex("tables")
+        .where({ table_id: tableOne.table_id })
+        .update({ occupied: true, reservation_id: seated.reservation_id });
+
+      const response = await listTables("2020-12-31");
+
+      expect(response.body.error).toBeUndefined();
+      const table = response.body.data.find(
+        ({ table_id }) => table_id === tableOne.table_id
+      );
+      expect(table.occupancy).toEqual([
+        {
+          reservation_id: seated.reservation_id,
+          status: "seated",
+          start: "18:00",
+          end: "24:00",
+        },
+      ]);
+      expect(table.free_gaps).toEqual([]);
+    });
+
+    test("returns no free gaps on a closed day", async () => {
+      // 2030-01-01 is a Tuesday, when the restaurant is closed
+      const response = await listTables("2030-01-01");
+
+      expect(response.body.error).toBeUndefined();
+      expect(
+        response.body.data.every(({ free_gaps }) => !free_gaps.length)
+      ).toBeTruthy();
+    });
+
+    test("returns 400 if the date is not valid", async () => {
+      const response = await listTables("tomorrow");
+
+      expect(response.body.error).toContain("date");
+      expect(response.status).toBe(400);
+    });
+  });
+});
@@ -0,0 +1,168 @@
+const request = require("supertest");
+
+const app = require("../src/app");
+const knex = require("../src/db/connection");
+const { insertReservation } = require("./fixtures");
+const { toDateString } = require("../src/utils/time");
+
+describe("Table suggestions", () => {
+  beforeAll(() => {
+    return knex.migrate
+      .forceFreeMigrationsLock()
+      .then(() => knex.migrate.rollback(null, true))
+      .then(() => knex.migrate.latest());
+  });
+
+  beforeEach(() => {
+    return knex.seed.run();
+  });
+
+  afterAll(async () => {
+    return await knex.migrate.rollback(null, true).then(() => knex.destroy());
+  });
+
+  describe("GET /reservations/:reservation_id/table-suggestions", () => {
+    test("returns 404 for non-existent id", async () => {
+      const response = await request(app)
+        .get("/reservations/99999/table-suggestions")
+        .set("Accept", "application/json");
+
+      expect(response.body.error).toContain("99999");
+      expect(response.status).toBe(404);
+    });
+
+    test("ranks the smallest fitting tables first", async () => {
+      const reservation = await insertReservation({ people: 1 });
+
+      const response = await request(app)
+        .get(`/reservations/${reservation.reservation_id}/table-suggestions`)
+        .set("Accept", "application/json");
+
+      expect(response.body.error).toBeUndefined();
+      expect(
+        response.body.data.map(({ tables }) => tables[0].table_name)
+      ).toEqual(["Bar #1", "Bar #2", "#1", "#2"]);
+      expect(response.body.data[0].empty_seats).toBe(0);
+    });
+
+    test("suggests combined tables for a party too large for one table", async () => {
+      const reservation = await insertReservation({ people: 12 });
+
+      const response = await request(app)
+        .get(`/reservations/${reservation.reservation_id}/table-suggestions`)
+        .set("Accept", "application/json");
+
+      expect(response.body.data).toHaveLength(1);
+      expect(response.body.data[0].capacity).toBe(12);
+      expect(response.body.data[0].table_ids).toHaveLength(2);
+    });
+  });
+
+  describe("balancing parties across the servers", () => {
+    const today = toDateString(new Date());
+
+    // The restaurant is open all day today, so the current shift is always the "All Day" service
+    beforeEach(async () => {
+      await knex("operating_hours").del();
+      await knex("operating_hours").insert({
+        day_of_week: new Date().getDay(),
+        service_name: "All Day",
+        open_time: "00:00",
+        close_time: "23:59",
+        last_seating_offset: 0,
+      });
+      const [patio] = await knex("sections").insert(
+        { section_name: "Patio", floor: "Ground" },
+        "*"
+      );
+      await knex("tables")
+        .where({ table_name: "#2" })
+        .update({ section_id: patio.section_id });
+    });
+
+    function assignServer(section_name, server_name) {
+      return knex("sections")
+        .where({ section_name })
+        .first()
+        .then(({ section_id }) =>
+          knex("server_assignments").insert({
+            section_id,
+            server_name,
+            shift_date: today,
+            service_name: "All Day",
+          })
+        );
+    }
+
+    async function seatParty(table_name, people) {
+      const { reservation_id } = await insertReservation({
+        people,
+        status: "seated",
+      });
+      await knex("tables")
+        .where({ table_name })
+        .update({ occupied: true, reservation_id });
+    }
+
+    async function suggestFor(people) {
+      const { reservation_id } = await insertReservation({ people });
+      const response = await request(app)
+        .get(`/reservations/${reservation_id}/table-suggestions`)
+        .set("Accept", "application/json");
+      expect(response.body.error).toBeUndefined();
+      return response.body.data.map(({ tables }) => tables[0].table_name);
+    }
+
+    test("counts the covers of every section a server covers", async () => {
+      await assignServer("Main Room", "Sam");
+      await assignServer("Bar", "Sam");
+      await assignServer("Patio", "Alex");
+      await seatParty("Bar #1", 1);
+
+      expect(await suggestFor(4)).toEqual(["#2", "#1"]);
+    });
+
+    test("ranks the sections without a server on shift last", async () => {
+      await knex("tables").insert({
+        table_name: "#3",
+        capacity: 6,
+        section_id: 1,
+      });
+      await assignServer("Main Room", "Sam");
+      await seatParty("#3", 2);
+
+      expect(await suggestFor(4)).toEqual(["#1", "#2"]);
+    });
+  });
+
+  describe("PUT /reservations/:reservation_id/seat", () => {
+    test("seats the reservation at the best fitting table", async () => {
+      const reservation = await insertReservation({ people: 4 });
+
+      const response = await request(app)
+        .put(`/reservations/${reservation.reservation_id}/seat`)
+        .set("Accept", "application/json");
+
+      expect(response.body.error).toBeUndefined();
+      expect(response.body.data).toEqual(
+        expect.objectContaining({
+          table_name: "#1",
+          occupied: true,
+          reservation_id: reservation.reservation_id,
+        })
+      );
+      expect(response.status).toBe(200);
+    });
+
+    test("returns 400 if no free tables can seat the party", async () => {
+      const reservation = await insertReservation({ people: 15 });
+
+      const response = await request(app)
+        .put(`/reservations/${reservation.reservation_id}/seat`)
+        .set("Accept", "application/json");
+
+      expect(response.body.error).toContain("no free tables");
+      expect(response.status).toBe(400);
+    });
+  });
+});
@@ -68,6 +68,7 @@ describe("US-08 - Change an existing reservation", () => {
       expect(response.body.data).toEqual(
         expect.objectContaining({
           ...expected,
+          mobile_number: "+11231231235",
           reservation_date: expect.stringMatching(expected.reservation_date),
           reservation_time: expect.stringMatching(expected.reservation_time),
         })
@@ -0,0 +1,197 @@
+const request = require("supertest");
+
+const app = require("../src/app");
+const knex = require("../src/db/connection");
+
+describe("Walk-in waitlist", () => {
+  beforeAll(() => {
+    return knex.migrate
+      .forceFreeMigrationsLock()
+      .then(() => knex.migrate.rollback(null, true))
+      .then(() => knex.migrate.latest());
+  });
+
+  beforeEach(() => {
+    return knex.seed.run();
+  });
+
+  afterAll(async () => {
+    return await knex.migrate.rollback(null, true).then(() => knex.destroy());
+  });
+
+  const party = {
+    first_name: "Walk",
+    last_name: "In",
+    mobile_number: "800-555-1212",
+    people: 4,
+    quoted_wait: 20,
+  };
+
+  function joinWaitlist(data) {
+    return request(app)
+      .post("/waitlist")
+      .set("Accept", "application/json")
+      .send({ data: { ...party, ...data } });
+  }
+
+  describe("POST /waitlist", () => {
+    test("returns 400 if people is missing", async () => {
+      const response = await joinWaitlist({ people: undefined });
+
+      expect(response.body.error).toContain("people");
+      expect(response.status).toBe(400);
+    });
+
+    test("returns 400 if status is given", async () => {
+      const response = await joinWaitlist({ status: "seated" });
+
+      expect(response.body.error).toContain("status");
+      expect(response.status).toBe(400);
+    });
+
+    test("returns 201 with the party's position", async () => {
+      await joinWaitlist();
+      const response = await joinWaitlist({ first_name: "Second" });
+
+      expect(response.body.error).toBeUndefined();
+      expect(response.body.data).toEqual(
+        expect.objectContaining({ status: "waiting", position: 2 })
+      );
+      expect(response.status).toBe(201);
+    });
+  });
+
+  describe("DELETE /waitlist/:waitlist_id", () => {
+    test("removes the party from the waitlist", async () => {
+      const first = await joinWaitlist();
+      await joinWaitlist({ first_name: "Second" });
+
+      const response = await request(app)
+        .delete(`/waitlist/${first.body.data.waitlist_id}`)
+        .set("Accept", "application/json");
+
+      expect(response.body.data.status).toBe("left");
+
+      const listResponse = await request(app)
+        .get("/waitlist")
+        .set("Accept", "application/json");
+
+      expect(listResponse.body.data).toEqual([
+        expect.objectContaining({ first_name: "Second", position: 1 }),
+      ]);
+    });
+  });
+
+  describe("PUT /waitlist/:waitlist_id/notify", () => {
+    test("marks the party as notified", async () => {
+      const joined = await joinWaitlist();
+
+      const response = await request(app)
+        .put(`/waitlist/${joined.body.data.waitlist_id}/notify`)
+        .set("Accept", "application/json");
+
+      expect(response.body.data.status).toBe("notified");
+      expect(response.body.data.notified_at).toBeTruthy();
+    });
+  });
+
+  describe("PUT /waitlist/:waitlist_id/seat", () => {
+    test("returns 400 if the table is too small", async () => {
+      const joined = await joinWaitlist();
+
+      const response = await request(app)
+        .put(`/waitlist/${joined.body.data.waitlist_id}/seat`)
+        .set("Accept", "application/json")
+        .send({ data: { table_id: 1 } });
+
+      expect(response.body.error).toContain("capacity");
+      expect(response.status).toBe(400);
+    });
+
+    test("returns 400 if the table_id is not a table id", async () => {
+      const joined = await joinWaitlist();
+
+      const response = await request(app)
+        .put(`/waitlist/${joined.body.data.waitlist_id}/seat`)
+        .set("Accept", "application/json")
+        .send({ data: { table_id: "abc" } });
+
+      expect(response.body.error).toContain("table_id");
+      expect(response.status).toBe(400);
+    });
+
+    test("seats a large party at combined tables", async () => {
+      const joined = await joinWaitlist({ people: 10 });
+
+      const response = await request(app)
+        .put(`/waitlist/${joined.body.data.waitlist_id}/seat`)
+        .set("Accept", "application/json")
+        .send({ data: { table_id: 3, table_ids: [4] } });
+
+      expect(response.body.error).toBeUndefined();
+      expect(response.body.data.table.table_id).toBe(3);
+      const tables = await knex("tables")
+        .whereIn("table_id", [3, 4])
+        .orderBy("table_id");
+      expect(tables.map(({ reservation_id }) => reservation_id)).toEqual([
+        response.body.data.reservation_id,
+        response.body.data.reservation_id,
+      ]);
+    });
+
+    test("seats the party as a walk-in reservation", async () => {
+      const joined = await joinWaitlist();
+
+      const response = await request(app)
+        .put(`/waitlist/${joined.body.data.waitlist_id}/seat`)
+        .set("Accept", "application/json")
+        .send({ data: { table_id: 3 } });
+
+      expect(response.body.error).toBeUndefined();
+      expect(response.body.data.status).toBe("seated");
+      expect(response.body.data.table).toEqual(
+        expect.objectContaining({
+          occupied: true,
+          reservation_id: response.body.data.reservation_id,
+        })
+      );
+
+      const reservation = await knex("reservations")
+        .where({ reservation_id: response.body.data.reservation_id })
+        .first();
+
+      expect(reservation).toEqual(
+        expect.objectContaining({ status: "seated", walk_in: true, people: 4 })
+      );
+
+      const seatAgain = await request(app)
+        .put(`/waitlist/${joined.body.data.waitlist_id}/seat`)
+        .set("Accept", "application/json")
+        .send({ data: { table_id: 4 } });
+
+      expect(seatAgain.status).toBe(400);
+    });
+  });
+
+  describe("POST /reservations", () => {
+    test("returns 400 if walk_in is true", async () => {
+      const data = {
+        first_name: "first",
+        last_name: "last",
+        mobile_number: "800-555-1212",
+        reservation_date: "2030-01-02",
+        reservation_time: "18:00",
+        people: 2,
+        walk_in: true,
+      };
+
+      const response = await request(app)
+        .post("/reservations")
+        .set("Accept", "application/json")
+        .send({ data });
+
+      expect(response.body.error).toContain("waitlist");
+      expect(response.status).toBe(400);
+    });
+  });
+});